@@ -15,6 +15,11 @@ const MAX_BULLETS = 6;
 const RELOAD_TIME = 2.0;
 const MAX_LIVES   = 3;
 const CIV_PENALTY = 500;
+const HEADSHOT_MULT = 2;    // kill points multiplier for a head hit
+const HAT_BONUS     = 50;   // style points for shooting a hat off
+const COMBO_STEP    = 3;    // consecutive hits per +1 score multiplier
+const COMBO_MAX     = 5;    // multiplier cap
+const BOSS_HP       = 3;    // outlaws spawned with this much HP are bosses
 
 // FPS gun anchor
 const GUN_ANCHOR_X = W / 2;
@@ -25,6 +30,21 @@ const GUN_PAN_Y    = 25;
 const RECOIL_DUR   = 0.18;
 const RECOIL_KICK  = 18;
 
+// Simulation runs in fixed steps; rendering interpolates between the last two
+const SIM_STEP     = 1 / 60;
+const MAX_FRAME_DT = 0.25;   // longest wall-clock gap we try to catch up on
+const PARTICLE_GRAVITY = 648; // px/s²
+// Effect pools: past these the oldest effect is recycled
+const PARTICLE_CAP = 240;
+const ALERT_CAP    = 12;
+const HOLE_CAP     = 24;     // bullet-hole decals, which linger for seconds
+// Particles drawn as a single fading dot: radius, and the lifetime over which they fade
+const DOT_PARTICLES = {
+  blood:  { color: '#8B0000', r: 2.5, fade: 0.6,  max: 1 },
+  hit:    { color: '#FF5555', r: 12,  fade: 0.2,  max: 1 },
+  eflash: { color: '#FFBB44', r: 10,  fade: 0.13, max: 0.8 },
+};
+
 // Scene layout
 const CEILING_Y    = 0;
 const BALCONY_Y    = 90;
@@ -33,52 +53,13 @@ const WALL_TOP     = RAIL_Y + 8;
 const BAR_Y        = 330;
 const BAR_H        = 50;
 const FLOOR_Y      = BAR_Y + BAR_H + 10;
-const DOOR_CX      = W / 2;
-const DOOR_TOP     = 155;
-const DOOR_BOT     = 320;
-const DOOR_W       = 90;
-
-// Batwing door panels — doors sit LOW near the ground, large open space ABOVE
-const DOOR_PANEL_H   = 95;   // panel height
-const DOOR_PANEL_TOP = DOOR_BOT - DOOR_PANEL_H;  // panels start near bottom of opening
-// This gives ~70px open space above the panels (DOOR_PANEL_TOP - DOOR_TOP ≈ 70)
-
-// Bottle shelf
-const BOTTLE_SHELF_Y = BAR_Y - 46;
-const BOTTLE_POSITIONS = [20, 55, 90, 140, 260, 300, 350, 395, 440];
-const BOTTLE_COLORS = ['#2E7B44', '#8B1A1A', '#DAA520', '#1A3A7A', '#6B3A6B'];
-
-// Windows
-const WINDOWS = [
-  { id: 'wl', x: 62,      y: 210, w: 54, h: 68 },
-  { id: 'wr', x: W - 62,  y: 210, w: 54, h: 68 },
-];
-
-// Enemy spawn slots
-const SPAWN_SLOTS = [
-  { id: 'cover_bl', x: 120, peekY: 405, type: 'cover', coverType: 'table', minWave: 1 },
-  { id: 'cover_tl', x: 215, peekY: 402, type: 'cover', coverType: 'table', minWave: 1 },
-  { id: 'cover_tr', x: 310, peekY: 402, type: 'cover', coverType: 'table', minWave: 1 },
-  { id: 'cover_br', x: 415, peekY: 405, type: 'cover', coverType: 'table', minWave: 1 },
-  { id: 'win_l', x: 62,      peekY: 195, type: 'window', winIdx: 0, minWave: 3 },
-  { id: 'win_r', x: W - 62,  peekY: 195, type: 'window', winIdx: 1, minWave: 3 },
-  { id: 'bal_l', x: 120, peekY: 68, type: 'balcony', minWave: 6 },
-  { id: 'bal_c', x: 240, peekY: 68, type: 'balcony', minWave: 6 },
-  { id: 'bal_r', x: 360, peekY: 68, type: 'balcony', minWave: 6 },
-];
 
-// Cover furniture — round tables
-const COVERS = [
-  { x: 120, y: 430, w: 78, h: 55, type: 'table' },
-  { x: 215, y: 425, w: 80, h: 55, type: 'table' },
-  { x: 310, y: 425, w: 80, h: 55, type: 'table' },
-  { x: 415, y: 430, w: 78, h: 55, type: 'table' },
-];
+// Batwing door panels — doors sit LOW near the ground, large open space ABOVE.
+// The door opening itself comes from the level (see LEVELS).
+const DOOR_PANEL_H = 95;   // panel height; panels hang from the bottom of the opening
+const DOOR_ENTER_DY = 30;  // walkers appear this far above the door's bottom edge
 
-// Extra decorative round tables (non-cover, just ambiance)
-const DECO_TABLES = [
-  { x: 370, y: 465, w: 60, h: 42 },
-];
+const BOTTLE_COLORS = ['#2E7B44', '#8B1A1A', '#DAA520', '#1A3A7A', '#6B3A6B'];
 
 const OUTFITS = [
   { shirt: '#4A3728', pants: '#3A2318', hat: '#2C1810', band: '#8B0000', bandana: '#8B0000', scar: false },
@@ -89,12 +70,34 @@ const OUTFITS = [
 ];
 
 // ─── HELPERS ──────────────────────────────────────────────────────────────────
-function rand(a, b) { return a + Math.random() * (b - a); }
 function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
 function lerp(a, b, t) { return a + (b - a) * t; }
+// Render-side blend from the previous sim step; new objects have no `prev` yet
+function interp(prev, cur, t) { return prev === undefined ? cur : prev + (cur - prev) * t; }
 function inRect(px, py, rx, ry, rw, rh) {
   return px >= rx && px <= rx + rw && py >= ry && py <= ry + rh;
 }
+// localStorage is missing in Node and can throw in private browsing
+function loadBestScore() {
+  try { return parseInt(localStorage.getItem('westernShooterBest') || '0', 10); } catch (_) { return 0; }
+}
+function loadJSON(key, fallback) {
+  try { const v = localStorage.getItem(key); return v ? JSON.parse(v) : fallback; } catch (_) { return fallback; }
+}
+function saveJSON(key, value) {
+  try { localStorage.setItem(key, JSON.stringify(value)); } catch (_) {}
+}
+// Optional bundled asset (sound pack, sprite atlas). XHR rather than fetch:
+// the iOS shell serves the game from file:// URLs. Missing files are ignored.
+function loadAsset(path, type, done, fail = () => {}) {
+  try {
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', path); xhr.responseType = type;
+    xhr.onload = () => { if ((xhr.status === 200 || xhr.status === 0) && xhr.response) done(xhr.response); else fail(); };
+    xhr.onerror = () => fail();
+    xhr.send();
+  } catch (_) { fail(); }
+}
 function drawRR(ctx, x, y, w, h, r) {
   ctx.beginPath();
   ctx.moveTo(x + r, y);
@@ -104,190 +107,506 @@ function drawRR(ctx, x, y, w, h, r) {
   ctx.arcTo(x, y, x + w, y, r);
   ctx.closePath();
 }
-function enemyHB(e) {
-  if (e.posType === 'window')  return { x: e.drawX - 22, y: e.drawY - 40, w: 44, h: 56 };
-  if (e.posType === 'balcony') return { x: e.drawX - 22, y: e.drawY - 36, w: 44, h: 52 };
-  return { x: e.drawX - 26, y: e.drawY - 56, w: 52, h: 82 };
+
+// ─── HIT SHAPES ───────────────────────────────────────────────────────────────
+// Hit areas are lists of simple shapes traced from the drawing code:
+//   { kind: 'rect', x, y, w, h } | { kind: 'circle', x, y, r } | { kind: 'ellipse', x, y, rx, ry }
+// Body-part shapes also carry a `part` name.
+function inShape(px, py, s) {
+  if (s.kind === 'circle') { const dx = px - s.x, dy = py - s.y; return dx * dx + dy * dy <= s.r * s.r; }
+  if (s.kind === 'ellipse') { const dx = (px - s.x) / s.rx, dy = (py - s.y) / s.ry; return dx * dx + dy * dy <= 1; }
+  return inRect(px, py, s.x, s.y, s.w, s.h);
+}
+function hitPart(px, py, shapes) {
+  for (const s of shapes) if (inShape(px, py, s)) return s.part || 'body';
+  return null;
 }
-function civHB(c) {
-  if (c.type === 'doorCiv' && c.spawnMode === 'window')  return { x: c.x - 18, y: c.y - 36, w: 36, h: 50 };
-  if (c.type === 'doorCiv' && c.spawnMode === 'balcony') return { x: c.x - 18, y: c.y - 32, w: 36, h: 46 };
-  return { x: c.x - 20, y: c.y - 44, w: 40, h: 58 };
+const rectS    = (x, y, w, h, part) => ({ kind: 'rect', x, y, w, h, part });
+const circleS  = (x, y, r, part) => ({ kind: 'circle', x, y, r, part });
+const ellipseS = (x, y, rx, ry, part) => ({ kind: 'ellipse', x, y, rx, ry, part });
+
+// Outlaw parts, topmost first, matching drawEnemy(). The brim is listed
+// before the head so a shot grazing the brim takes the hat, not the skull.
+function enemyShapes(e) {
+  const x = e.drawX, y = e.drawY;
+  const shapes = e.hatOff ? [] : [rectS(x - 13, y - 38, 26, 20, 'hat'), ellipseS(x, y - 18, 22, 4.5, 'hat')];
+  shapes.push(circleS(x, y - 8, 13, 'head'), rectS(x - 12, y + 3, 24, 24, 'torso'));
+  if (e.state === 'peeking' || e.state === 'warning' || e.state === 'shooting') shapes.push(rectS(x - 34, y + 9, 28, 5, 'arm'));
+  if (e.state === 'entering') shapes.push(rectS(x - 11, y + 22, 22, 28, 'legs'));
+  return shapes;
 }
 
-// ─── AUDIO MANAGER (Web Audio API — synthesised) ────────────────────────────
-class AudioManager {
-  constructor() {
-    this.ctx = null;
-    this.initialized = false;
-    this.musicPlaying = false;
-    this.musicGain = null;
-    this.musicTimer = null;
+// Civilian silhouettes (head + body, hats included) matching the draw* helpers
+function civShapes(c) {
+  const x = c.x, y = c.y;
+  if (CIV_LOOKS[c.type]) { // drawTownsfolk()
+    const dy = c.scared > 0 ? 8 : 0;
+    return [rectS(x - 12, y - 28 + dy, 24, 12), circleS(x, y - 13 + dy, 10), rectS(x - 10, y - 2 + dy, 20, 22)];
   }
-
-  init() {
-    if (this.initialized) return;
-    try {
-      this.ctx = new (window.AudioContext || window.webkitAudioContext)();
-      this.initialized = true;
-    } catch (_) {}
+  switch (c.type) {
+    case 'pianist': {
+      const dy = c.scared > 0 ? 7 : 0;
+      return [circleS(x, y - 20 + dy, 14), rectS(x - 18, y - 6 + dy, 36, 38 - dy)];
+    }
+    case 'bartender': {
+      const dy = c.scared > 0 ? 8 : 0;
+      return [circleS(x, y - 13 + dy, 11), rectS(x - 10, y - 2 + dy, 20, 22)];
+    }
+    case 'patron': {
+      const dy = c.scared > 0 ? 10 : 0;
+      return [rectS(x - 12, y - 28 + dy, 24, 12), circleS(x, y - 13 + dy, 10), rectS(x - 9, y - 2 + dy, 18, 20)];
+    }
+    case 'poker1':
+    case 'poker2': {
+      const dy = c.scared > 0 ? 8 : 0;
+      return [rectS(x - 11, y - 26 + dy, 22, 11), circleS(x, y - 12 + dy, 9), rectS(x - 8, y - 2 + dy, 16, 18)];
+    }
+    case 'drinker': {
+      const dy = c.scared > 0 ? 6 : 0;
+      return [rectS(x - 15, y - 28 + dy, 30, 14), circleS(x, y - 13 + dy, 10), rectS(x - 9, y - 2 + dy, 18, 20)];
+    }
+    case 'doorCiv': { // upper body only when leaning out of a window / over the rail
+      const dy = c.scared > 0 ? 8 : 0;
+      const head = [rectS(x - 12, y - 35 + dy, 24, 8), circleS(x, y - 20 + dy, 12)];
+      if (c.spawnMode === 'window' || c.spawnMode === 'balcony') return [...head, rectS(x - 9, y - 12 + dy, 18, 18)];
+      return [...head, rectS(x - 12, y - 12 + dy, 24, 34 - dy)];
+    }
   }
+}
 
-  resume() {
-    if (this.ctx && this.ctx.state === 'suspended') this.ctx.resume();
+// Solid scenery that stops bullets — traced from drawRoundTable(),
+// drawBalconyRail() and drawWindowFrames()
+function tableShapes(t) {
+  return [ellipseS(t.x, t.y, t.w / 2, 14), rectS(t.x - 3, t.y + 2, 6, t.h / 2 + 4)];
+}
+// Cover pieces by level `type`, each with (x, y) at the middle of its top
+// edge and `h` running down — traced from drawCover()
+const COVER_SHAPES = {
+  table: tableShapes,
+  counter: t => [rectS(t.x - t.w / 2, t.y - 10, t.w, t.h)],
+  crate: t => [rectS(t.x - t.w / 2, t.y - 12, t.w, t.h)],
+  seat: t => [rectS(t.x - t.w / 2, t.y - 16, t.w, t.h)],
+  // Hitching post: two posts, a rail and a water trough, gaps in between
+  post: t => [
+    rectS(t.x - t.w / 2, t.y - 10, 8, t.h), rectS(t.x + t.w / 2 - 8, t.y - 10, 8, t.h),
+    rectS(t.x - t.w / 2, t.y - 6, t.w, 6), rectS(t.x - t.w / 2 + 10, t.y + t.h - 26, t.w - 20, 22),
+  ],
+  // Cell bars: bullets pass between them
+  bars: t => {
+    const shapes = [rectS(t.x - t.w / 2, t.y - 12, t.w, 4), rectS(t.x - t.w / 2, t.y + t.h - 18, t.w, 4)];
+    for (let bx = t.x - t.w / 2; bx <= t.x + t.w / 2 - 3; bx += 11) shapes.push(rectS(bx, t.y - 12, 3, t.h));
+    return shapes;
+  },
+};
+const coverShapes = t => (COVER_SHAPES[t.type] || tableShapes)(t);
+const RAIL_SHAPES = (() => {
+  const shapes = [rectS(0, RAIL_Y, W, 5), rectS(0, BALCONY_Y, W, 6)];
+  for (let i = 0; i < 17; i++) shapes.push(rectS(12 + i * 28, BALCONY_Y + 5, 5, RAIL_Y - BALCONY_Y - 4));
+  for (let i = 0; i < 5; i++) {
+    const px = 56 + i * 95;
+    shapes.push(rectS(px, BALCONY_Y - 2, 8, RAIL_Y - BALCONY_Y + 8), rectS(px - 2, BALCONY_Y - 4, 12, 4));
   }
+  return shapes;
+})();
+// Only the outer frame and shutters are solid: an outlaw in a window stands
+// on the mullion, so the thin glazing bars would swallow every head shot
+function windowFrameShapes(win) {
+  const x = win.x - win.w / 2, y = win.y - win.h / 2;
+  return [
+    rectS(x - 2.5, y - 2.5, win.w + 5, 5), rectS(x - 2.5, y + win.h - 2.5, win.w + 5, 7),
+    rectS(x - 10, y, 12.5, win.h), rectS(x + win.w - 2.5, y, 12.5, win.h),
+  ];
+}
+// Rooftop edge of the street's false fronts — drawParapet()
+const PARAPET_Y = 96;
+const PARAPET_SHAPES = [rectS(0, PARAPET_Y, W, 26)];
+// Upright piano at the far left — drawPiano()
+const PIANO_SHAPES = [rectS(-1, 337, 74, 90), rectS(6, 427, 6, 24), rectS(60, 427, 6, 24)];
+
+// Shootable scenery at the back of the room
+const chandelierShapes = ({ x, y }) => [circleS(x, y, 18), rectS(x - 22, y - 16, 44, 10)];
+const bottleShape = b => rectS(b.x - 2, b.y - 7, 14, 27);
+
+// Other stages' breakables (level `destructibles.props`, drawn by drawProps()):
+// hit shape around (x, y), debris colours, points and respawn range in seconds
+const PROP_TYPES = {
+  lamp:    { shape: p => rectS(p.x - 9, p.y - 10, 18, 22), debris: ['#FFE080', '#DAA520'], points: 15, respawn: [20, 30] },
+  lantern: { shape: p => rectS(p.x - 7, p.y - 9, 14, 20),  debris: ['#FFD070', '#5A5A5A'], points: 15, respawn: [20, 30] },
+  clock:   { shape: p => circleS(p.x, p.y, 14),            debris: ['#F5E6C8', '#DAA520'], points: 25, respawn: [25, 35] },
+  jug:     { shape: p => ellipseS(p.x, p.y, 8, 11),        debris: ['#B08050', '#6B4A2A'], points: 10, respawn: [15, 25] },
+};
+
+// Stage bystanders drawn by drawTownsfolk(): clothes, skin, headwear and one
+// optional detail (apron, badge, stripes or beard)
+const CIV_LOOKS = {
+  teller:     { coat: '#2A3A5A', shirt: '#E8DCC8', skin: '#E0B090', hat: 'visor',   hatColor: 'rgba(40,140,70,0.85)' },
+  banker:     { coat: '#1A1A1A', shirt: '#E8E8E8', skin: '#D4A574', hat: 'top',     hatColor: '#111' },
+  lady:       { coat: '#6A2A5A', shirt: '#D8B8D0', skin: '#E8C0A0', hat: 'bonnet',  hatColor: '#C8A0C0' },
+  conductor:  { coat: '#1A2A4A', shirt: '#E8DCC8', skin: '#D4A070', hat: 'cap',     hatColor: '#1A2A4A' },
+  passenger:  { coat: '#5A4A3A', shirt: '#C8B898', skin: '#E0B090', hat: 'bowler',  hatColor: '#3A2A1A' },
+  shopkeeper: { coat: '#8B5A2B', shirt: '#E8DCC8', skin: '#D4A574', hat: null, extra: 'apron' },
+  prospector: { coat: '#7A6A4A', shirt: '#8B3A2A', skin: '#C89060', hat: 'stetson', hatColor: '#6A5A3A', extra: 'beard' },
+  deputy:     { coat: '#6B5A40', shirt: '#C8B898', skin: '#D4A070', hat: 'stetson', hatColor: '#4A3A24', extra: 'badge' },
+  prisoner:   { coat: '#D8D8D0', shirt: '#2A2A2A', skin: '#D4A574', hat: null, extra: 'stripes' },
+};
+
+// ─── LEVELS ───────────────────────────────────────────────────────────────────
+// A level file (levels/<id>.json, schema in the README) lays out one stage:
+// the door, windows, cover and decorative furniture, spawn slots,
+// destructibles, the civilian cast and the wave rules. The art that frames
+// it comes from the renderer its `backdrop` names.
+const DEFAULT_LEVEL = 'saloon';
+const LEVEL_DIR = 'levels/';
+const LEVEL_FIELDS = ['door', 'windows', 'covers', 'slots', 'destructibles', 'civilians', 'waves'];
+
+// Checks a parsed level file and adds the geometry derived from it
+function buildLevel(def) {
+  for (const key of LEVEL_FIELDS) if (!def[key]) throw new Error(`level "${def.id}": missing "${key}"`);
+  const d = def.door, props = def.destructibles;
+  return {
+    ...def,
+    decorations: def.decorations || [],
+    scenery: def.scenery || [],
+    door: { style: 'batwing', ...d, panelTop: d.bottom - DOOR_PANEL_H, enterY: d.bottom - DOOR_ENTER_DY },
+    windowShapes: def.windows.flatMap(windowFrameShapes),
+    chandelier: props.chandelier ? { ...props.chandelier, shapes: chandelierShapes(props.chandelier) } : null,
+    bottles: props.bottles || { shelfY: 0, x: [] },
+    props: props.props || [],
+  };
+}
 
-  playNote(freq, startTime, duration, volume, type) {
-    if (!this.initialized) return;
-    const ctx = this.ctx;
-    const osc = ctx.createOscillator();
-    osc.type = type || 'triangle';
-    osc.frequency.setValueAtTime(freq, startTime);
-    const g = ctx.createGain();
-    g.gain.setValueAtTime(0.001, startTime);
-    g.gain.linearRampToValueAtTime(volume, startTime + 0.008);
-    g.gain.setValueAtTime(volume * 0.7, startTime + duration * 0.35);
-    g.gain.exponentialRampToValueAtTime(0.001, startTime + duration);
-    const dest = this.musicGain || ctx.destination;
-    osc.connect(g); g.connect(dest);
-    osc.start(startTime); osc.stop(startTime + duration + 0.02);
-  }
+// Node reads level files from disk next to game.js; the browser shell
+// fetches them (WesternShooter.loadLevel)
+function readLevel(id) {
+  return buildLevel(require(`./${LEVEL_DIR}${id}.json`));
+}
 
-  startMusic() {
-    if (!this.initialized || this.musicPlaying) return;
-    this.musicPlaying = true;
-    this.musicGain = this.ctx.createGain();
-    this.musicGain.gain.value = 0.22;
-    this.musicGain.connect(this.ctx.destination);
-    this._scheduleLoop();
-  }
+// levels/index.json lists the stages in select-screen order; a stage with
+// `unlock: { stage, wave }` opens once that wave is reached on that stage
+const STAGES_URL = `${LEVEL_DIR}index.json`;
+function readStages() {
+  return require(`./${STAGES_URL}`).stages;
+}
 
-  stopMusic() {
-    this.musicPlaying = false;
-    if (this.musicTimer) { clearTimeout(this.musicTimer); this.musicTimer = null; }
-    if (this.musicGain) {
-      try { this.musicGain.gain.linearRampToValueAtTime(0.001, this.ctx.currentTime + 0.4); } catch (_) {}
-    }
-  }
 
-  _scheduleLoop() {
-    if (!this.musicPlaying || !this.initialized) return;
-    const ctx = this.ctx;
-    const now = ctx.currentTime + 0.1;
-    // Lively western saloon ragtime piano
-    const bpm = 160;
-    const bt = 60 / bpm;
-    const bar = bt * 4;
-    const n = {
-      C2:65.41, E2:82.41, G2:98.00, A2:110.00, B2:123.47,
-      C3:130.81, D3:146.83, E3:164.81, F3:174.61, Fs3:185.00,
-      G3:196.00, Gs3:207.65, A3:220.00, Bb3:233.08, B3:246.94,
-      C4:261.63, Cs4:277.18, D4:293.66, Ds4:311.13, E4:329.63,
-      F4:349.23, Fs4:369.99, G4:392.00, Gs4:415.30, A4:440.00,
-      Bb4:466.16, B4:493.88, C5:523.25, D5:587.33, E5:659.25,
-      F5:698.46, G5:783.99,
-    };
-    const s = bt * 0.42; // staccato duration for bouncy feel
-    const m = bt * 0.7;  // medium hold
-    const l = bt * 1.2;  // longer hold
-    const notes = [
-      // ── Bar 1: C major stride (oom-pah oom-pah) + melody ──
-      [n.C2,0,s,.16,'triangle'],[n.E4,0,s,.08,'triangle'],[n.G4,0,s,.08,'triangle'],
-      [n.E3,bt,s,.10,'triangle'],[n.G3,bt,s,.10,'triangle'],[n.C4,bt,s,.08,'triangle'],
-      [n.C2,bt*2,s,.16,'triangle'],[n.E4,bt*2,s,.08,'triangle'],[n.G4,bt*2,s,.08,'triangle'],
-      [n.E3,bt*3,s,.10,'triangle'],[n.G3,bt*3,s,.10,'triangle'],[n.C4,bt*3,s,.08,'triangle'],
-      // Melody over bar 1
-      [n.C5,0,m,.11,'triangle'],[n.D5,bt,s,.09,'triangle'],
-      [n.E5,bt*2,m,.11,'triangle'],[n.G5,bt*3,s,.09,'triangle'],
-
-      // ── Bar 2: G7 stride + melody run ──
-      [n.G2,bar,s,.16,'triangle'],[n.D4,bar,s,.08,'triangle'],[n.B3,bar,s,.08,'triangle'],
-      [n.D3,bar+bt,s,.10,'triangle'],[n.G3,bar+bt,s,.10,'triangle'],[n.B3,bar+bt,s,.08,'triangle'],
-      [n.G2,bar+bt*2,s,.16,'triangle'],[n.D4,bar+bt*2,s,.08,'triangle'],[n.F4,bar+bt*2,s,.07,'triangle'],
-      [n.D3,bar+bt*3,s,.10,'triangle'],[n.G3,bar+bt*3,s,.10,'triangle'],[n.B3,bar+bt*3,s,.08,'triangle'],
-      // Melody
-      [n.F5,bar,s,.09,'triangle'],[n.E5,bar+bt,s,.09,'triangle'],
-      [n.D5,bar+bt*2,m,.11,'triangle'],[n.B4,bar+bt*3,s,.09,'triangle'],
-
-      // ── Bar 3: F major stride + honky-tonk lick ──
-      [n.C2,bar*2,s,.16,'triangle'],[n.F4,bar*2,s,.08,'triangle'],[n.A3,bar*2,s,.08,'triangle'],
-      [n.F3,bar*2+bt,s,.10,'triangle'],[n.A3,bar*2+bt,s,.10,'triangle'],[n.C4,bar*2+bt,s,.08,'triangle'],
-      [n.C2,bar*2+bt*2,s,.16,'triangle'],[n.F4,bar*2+bt*2,s,.08,'triangle'],[n.A3,bar*2+bt*2,s,.08,'triangle'],
-      [n.F3,bar*2+bt*3,s,.10,'triangle'],[n.A3,bar*2+bt*3,s,.10,'triangle'],[n.C4,bar*2+bt*3,s,.08,'triangle'],
-      // Melody — ascending run
-      [n.C5,bar*2,s,.10,'triangle'],[n.D5,bar*2+bt*.5,s,.08,'triangle'],
-      [n.E5,bar*2+bt,s,.10,'triangle'],[n.F5,bar*2+bt*1.5,s,.08,'triangle'],
-      [n.G5,bar*2+bt*2,m,.11,'triangle'],[n.E5,bar*2+bt*3,s,.09,'triangle'],
-
-      // ── Bar 4: C-G7 turnaround ──
-      [n.C2,bar*3,s,.16,'triangle'],[n.E4,bar*3,s,.08,'triangle'],[n.G4,bar*3,s,.08,'triangle'],
-      [n.E3,bar*3+bt,s,.10,'triangle'],[n.G3,bar*3+bt,s,.10,'triangle'],
-      [n.G2,bar*3+bt*2,s,.16,'triangle'],[n.D4,bar*3+bt*2,s,.08,'triangle'],[n.F4,bar*3+bt*2,s,.07,'triangle'],
-      [n.D3,bar*3+bt*3,s,.10,'triangle'],[n.G3,bar*3+bt*3,s,.10,'triangle'],[n.B3,bar*3+bt*3,s,.08,'triangle'],
-      // Melody — descending lick
-      [n.E5,bar*3,s,.10,'triangle'],[n.D5,bar*3+bt,s,.09,'triangle'],
-      [n.C5,bar*3+bt*2,s,.10,'triangle'],[n.B4,bar*3+bt*2.5,s,.07,'triangle'],
-      [n.A4,bar*3+bt*3,s,.09,'triangle'],[n.G4,bar*3+bt*3.5,s,.07,'triangle'],
-
-      // ── Bar 5: Am stride + bluesy melody ──
-      [n.A2,bar*4,s,.16,'triangle'],[n.E4,bar*4,s,.08,'triangle'],[n.C4,bar*4,s,.08,'triangle'],
-      [n.E3,bar*4+bt,s,.10,'triangle'],[n.A3,bar*4+bt,s,.10,'triangle'],[n.C4,bar*4+bt,s,.08,'triangle'],
-      [n.A2,bar*4+bt*2,s,.16,'triangle'],[n.E4,bar*4+bt*2,s,.08,'triangle'],[n.C4,bar*4+bt*2,s,.08,'triangle'],
-      [n.E3,bar*4+bt*3,s,.10,'triangle'],[n.A3,bar*4+bt*3,s,.10,'triangle'],
-      // Melody
-      [n.A4,bar*4,m,.11,'triangle'],[n.C5,bar*4+bt,s,.09,'triangle'],
-      [n.E5,bar*4+bt*2,m,.11,'triangle'],[n.D5,bar*4+bt*3,s,.09,'triangle'],
-
-      // ── Bar 6: D7→G stride + chromatic run ──
-      [n.A2,bar*5,s,.16,'triangle'],[n.D4,bar*5,s,.08,'triangle'],[n.Fs3,bar*5,s,.08,'triangle'],
-      [n.D3,bar*5+bt,s,.10,'triangle'],[n.Fs3,bar*5+bt,s,.10,'triangle'],[n.A3,bar*5+bt,s,.08,'triangle'],
-      [n.G2,bar*5+bt*2,s,.16,'triangle'],[n.D4,bar*5+bt*2,s,.08,'triangle'],[n.B3,bar*5+bt*2,s,.08,'triangle'],
-      [n.D3,bar*5+bt*3,s,.10,'triangle'],[n.G3,bar*5+bt*3,s,.10,'triangle'],[n.B3,bar*5+bt*3,s,.08,'triangle'],
-      // Melody — chromatic descent
-      [n.D5,bar*5,s,.09,'triangle'],[n.Cs4,bar*5+bt*.5,s,.07,'triangle'],
-      [n.D5,bar*5+bt,s,.10,'triangle'],[n.C5,bar*5+bt*1.5,s,.07,'triangle'],
-      [n.B4,bar*5+bt*2,m,.11,'triangle'],[n.A4,bar*5+bt*3,s,.09,'triangle'],
-
-      // ── Bar 7: F major stride + high trill ──
-      [n.C2,bar*6,s,.16,'triangle'],[n.F4,bar*6,s,.08,'triangle'],[n.A3,bar*6,s,.08,'triangle'],
-      [n.F3,bar*6+bt,s,.10,'triangle'],[n.A3,bar*6+bt,s,.10,'triangle'],[n.C4,bar*6+bt,s,.08,'triangle'],
-      [n.C2,bar*6+bt*2,s,.16,'triangle'],[n.E4,bar*6+bt*2,s,.08,'triangle'],[n.G3,bar*6+bt*2,s,.08,'triangle'],
-      [n.E3,bar*6+bt*3,s,.10,'triangle'],[n.G3,bar*6+bt*3,s,.10,'triangle'],[n.C4,bar*6+bt*3,s,.08,'triangle'],
-      // Melody
-      [n.F5,bar*6,s,.09,'triangle'],[n.E5,bar*6+bt*.5,s,.07,'triangle'],
-      [n.F5,bar*6+bt,s,.09,'triangle'],[n.G5,bar*6+bt*1.5,s,.07,'triangle'],
-      [n.E5,bar*6+bt*2,m,.11,'triangle'],[n.C5,bar*6+bt*3,s,.09,'triangle'],
-
-      // ── Bar 8: C→G7→C ending flourish ──
-      [n.C2,bar*7,s,.16,'triangle'],[n.E4,bar*7,s,.08,'triangle'],[n.G4,bar*7,s,.08,'triangle'],
-      [n.E3,bar*7+bt,s,.10,'triangle'],[n.G3,bar*7+bt,s,.10,'triangle'],[n.C4,bar*7+bt,s,.08,'triangle'],
-      [n.G2,bar*7+bt*2,s,.16,'triangle'],[n.D4,bar*7+bt*2,s,.08,'triangle'],[n.B3,bar*7+bt*2,s,.07,'triangle'],
-      [n.C2,bar*7+bt*3,s,.16,'triangle'],[n.E4,bar*7+bt*3,s,.08,'triangle'],[n.G4,bar*7+bt*3,l,.08,'triangle'],
-      // Melody — final descending flourish
-      [n.G5,bar*7,s,.10,'triangle'],[n.E5,bar*7+bt*.5,s,.08,'triangle'],
-      [n.D5,bar*7+bt,s,.09,'triangle'],[n.C5,bar*7+bt*1.5,s,.07,'triangle'],
-      [n.B4,bar*7+bt*2,s,.09,'triangle'],[n.C5,bar*7+bt*3,l,.12,'triangle'],
-    ];
-    for (const p of notes) this.playNote(p[0], now + p[1], p[2], p[3], p[4]);
-    const loopLen = bar * 8;
-    this.musicTimer = setTimeout(() => this._scheduleLoop(), (loopLen - 0.3) * 1000);
+// base + perWave × wave, held within [min, max]; `first` overrides wave 1
+function waveValue(rule, wave, round = v => v) {
+  if (wave === 1 && rule.first !== undefined) return rule.first;
+  return clamp(rule.base + round(rule.perWave * wave), rule.min ?? -Infinity, rule.max ?? Infinity);
+}
+
+// ─── SEEDED RANDOM ────────────────────────────────────────────────────────────
+// mulberry32: tiny, fast and plenty for gameplay. Each game owns one stream for
+// simulation decisions and a separate one for cosmetics, so dust or particle
+// jitter never shifts the sequence of spawns and timings.
+const FX_SEED_SALT = 0x9E3779B9;
+
+class RNG {
+  constructor(seed) { this.reseed(seed); }
+  reseed(seed) { this.state = seed >>> 0; }
+  next() {
+    let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   }
+  range(a, b) { return a + this.next() * (b - a); }
+  int(n) { return Math.floor(this.next() * n); }
+  pick(arr) { return arr[this.int(arr.length)]; }
+  chance(p) { return this.next() < p; }
+}
 
-  playGunshot() {
-    if (!this.initialized) return;
-    const ctx = this.ctx, now = ctx.currentTime;
-    const bufSz = Math.floor(ctx.sampleRate * 0.28);
-    const buf = ctx.createBuffer(1, bufSz, ctx.sampleRate);
-    const d = buf.getChannelData(0);
-    for (let i = 0; i < bufSz; i++) d[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bufSz, 3.5);
-    const src = ctx.createBufferSource(); src.buffer = buf;
+function newSeed() { return (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0; }
+
+// ─── AUDIO MANAGER (Web Audio API — synthesised) ────────────────────────────
+const MUSIC_LEVEL = 0.22;  // music gain at 100 % music volume
+
+// Mixer graph — every sound plays into one of the buses:
+//   music → duck ─┐
+//   sfx ──────────┤
+//   ui ───────────┼→ master → limiter → mute → destination
+//   ambience ─────┘
+// Bus gains are the user volumes; `duck` dips the music under loud effects.
+const AUDIO_BUSES = ['music', 'sfx', 'ui', 'ambience'];
+
+// Positional sounds: the listener is the player, at the bottom centre of the
+// screen. Sources pan by x and roll off with distance beyond SPATIAL_REF px.
+const LISTENER_X = W / 2, LISTENER_Y = H;
+const SPATIAL_REF = 300, SPATIAL_ROLLOFF = 1;
+const PAN_WIDTH = 0.85;  // hard left/right is tiring on headphones
+
+// ── Music data ──
+// Notes are [name, beat, beats, volume] with beats counted from the start of
+// the bar, so the same bars play at any tempo. Names are scientific pitch
+// ('C4', 'Fs3', 'Bb3'); 's' = sharp, 'b' = flat. Noise instruments ignore the
+// name — write 'x'.
+const NOTE_STEPS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const NOTE_RE = /^([A-G][sb]?)(-?\d)$/;
+function noteFreq(name) {
+  const [, pitch, octave] = NOTE_RE.exec(name);
+  const semis = NOTE_STEPS[pitch[0]] + (pitch[1] === 's' ? 1 : pitch[1] === 'b' ? -1 : 0) + (Number(octave) + 1) * 12;
+  return 440 * Math.pow(2, (semis - 69) / 12);
+}
+// Renames the pitch class through `map` ({ E: 'Eb' }), keeping the octave
+function renamePitch(name, map) {
+  const m = NOTE_RE.exec(name);
+  return m && map[m[1]] ? map[m[1]] + m[2] : name;
+}
+function shiftOctave(name, by) {
+  return by ? name.replace(/(-?\d)$/, o => +o + by) : name;
+}
+
+// Instrument presets. `wave` is the oscillator type; the envelope rises over
+// `attack` s, holds until `hold` (fraction of the note), drops to `sustain`
+// (fraction of peak) and fades out by the note's end. `gain` scales every
+// note. Optional: `filter` [type, Hz], `noise` (filtered noise instead of an
+// oscillator) and `drop` (pitch glides down to this fraction — thumps).
+const INSTRUMENTS = {
+  piano:   { wave: 'triangle', attack: 0.008, hold: 0.35, sustain: 0.7, gain: 1 },
+  reed:    { wave: 'sawtooth', attack: 0.008, hold: 0.35, sustain: 0.7, gain: 1 },
+  brass:   { wave: 'square', attack: 0.008, hold: 0.35, sustain: 0.7, gain: 1 },
+  bell:    { wave: 'square', attack: 0.008, hold: 0.35, sustain: 0.7, gain: 0.35 },
+  horn:    { wave: 'sawtooth', attack: 0.02, hold: 0, sustain: 1, gain: 2 },
+  banjo:   { wave: 'square', attack: 0.003, hold: 0.05, sustain: 0.35, gain: 0.8, filter: ['lowpass', 2400] },
+  fiddle:  { wave: 'sawtooth', attack: 0.05, hold: 0.8, sustain: 0.85, gain: 0.7, filter: ['lowpass', 1800] },
+  twang:   { wave: 'triangle', attack: 0.004, hold: 0.1, sustain: 0.5, gain: 1.2, filter: ['lowpass', 1400] },
+  whistle: { wave: 'sine', attack: 0.04, hold: 0.7, sustain: 0.9, gain: 1.1 },
+  hat:     { noise: true, attack: 0, hold: 0, sustain: 1, gain: 1, filter: ['highpass', 7000] },
+  kick:    { wave: 'sine', attack: 0, hold: 0, sustain: 1, gain: 1, drop: 0.45 },
+};
+
+const STAC = 0.42, HOLD = 0.7, LONG = 1.2;  // note lengths, in beats
+// The same notes struck together / broken up in eighths (0-1-2-3-2-1-2-1)
+const chord = (names, beat, beats, vol) => names.map(n => [n, beat, beats, vol]);
+const arp = (names, vol) => [0, 1, 2, 3, 2, 1, 2, 1].map((k, i) => [names[k], i / 2, 0.5, vol]);
+
+// Layers shared by the in-game tunes: a shuffle beat once the room fills up
+// and a heartbeat on the last heart
+const GROOVE = {
+  hat: { instrument: 'hat', from: 0.75, each: [0, 1, 2, 3, 4, 5, 6, 7].map(i => ['x', i / 2, 0.12, i % 2 ? 0.03 : 0.05]) },
+  heart: { instrument: 'kick', tense: true, each: [['Fs2', 0, 0.55, 0.5], ['Fs2', 2, 0.55, 0.5]] },
+};
+
+// Songs: `bars` plus the `voices` that play them.
+//   bpm    fixed, or [calm, hot] to follow the music intensity
+//   beats  bar length (default 4)
+//   loop   false plays the bars once and stops (stingers, the dirge)
+//   minor  pitch-class renames for the tense variation, e.g. { E: 'Eb' }
+//   voices name → { instrument, part, each, octave, octaves, gain, from, tense }
+//          A voice plays the bar field named `part` (default: its own name),
+//          or the `each` notes in every bar. `octave` transposes, `octaves`
+//          keeps only notes in those octaves, `gain` scales the volume. It
+//          joins once intensity ≥ `from`; `tense` voices play on the last heart.
+// Adding a tune is data only: write it here and list it in IN_GAME_SONGS.
+const SONGS = {
+  // Lively saloon ragtime — left-hand stride + right-hand melody
+  ragtime: {
+    bpm: [150, 186],
+    minor: { E: 'Eb', A: 'Ab', B: 'Bb' },
+    voices: {
+      stride: { instrument: 'piano' },
+      melody: { instrument: 'piano' },
+      bass: { instrument: 'reed', part: 'stride', octaves: [1, 2], from: 0.4 },
+      sparkle: { instrument: 'bell', part: 'melody', octave: 1, from: 0.75 },
+      ...GROOVE,
+    },
+    bars: [
+      { // Bar 1: C major stride (oom-pah oom-pah) + melody
+        stride: [['C2',0,STAC,.16],['E4',0,STAC,.08],['G4',0,STAC,.08],['E3',1,STAC,.10],['G3',1,STAC,.10],['C4',1,STAC,.08],
+          ['C2',2,STAC,.16],['E4',2,STAC,.08],['G4',2,STAC,.08],['E3',3,STAC,.10],['G3',3,STAC,.10],['C4',3,STAC,.08]],
+        melody: [['C5',0,HOLD,.11],['D5',1,STAC,.09],['E5',2,HOLD,.11],['G5',3,STAC,.09]],
+      },
+      { // Bar 2: G7 stride + melody run
+        stride: [['G2',0,STAC,.16],['D4',0,STAC,.08],['B3',0,STAC,.08],['D3',1,STAC,.10],['G3',1,STAC,.10],['B3',1,STAC,.08],
+          ['G2',2,STAC,.16],['D4',2,STAC,.08],['F4',2,STAC,.07],['D3',3,STAC,.10],['G3',3,STAC,.10],['B3',3,STAC,.08]],
+        melody: [['F5',0,STAC,.09],['E5',1,STAC,.09],['D5',2,HOLD,.11],['B4',3,STAC,.09]],
+      },
+      { // Bar 3: F major stride + honky-tonk lick
+        stride: [['C2',0,STAC,.16],['F4',0,STAC,.08],['A3',0,STAC,.08],['F3',1,STAC,.10],['A3',1,STAC,.10],['C4',1,STAC,.08],
+          ['C2',2,STAC,.16],['F4',2,STAC,.08],['A3',2,STAC,.08],['F3',3,STAC,.10],['A3',3,STAC,.10],['C4',3,STAC,.08]],
+        melody: [['C5',0,STAC,.10],['D5',0.5,STAC,.08],['E5',1,STAC,.10],['F5',1.5,STAC,.08],['G5',2,HOLD,.11],['E5',3,STAC,.09]],
+      },
+      { // Bar 4: C-G7 turnaround
+        stride: [['C2',0,STAC,.16],['E4',0,STAC,.08],['G4',0,STAC,.08],['E3',1,STAC,.10],['G3',1,STAC,.10],['G2',2,STAC,.16],
+          ['D4',2,STAC,.08],['F4',2,STAC,.07],['D3',3,STAC,.10],['G3',3,STAC,.10],['B3',3,STAC,.08]],
+        melody: [['E5',0,STAC,.10],['D5',1,STAC,.09],['C5',2,STAC,.10],['B4',2.5,STAC,.07],['A4',3,STAC,.09],['G4',3.5,STAC,.07]],
+      },
+      { // Bar 5: Am stride + bluesy melody
+        stride: [['A2',0,STAC,.16],['E4',0,STAC,.08],['C4',0,STAC,.08],['E3',1,STAC,.10],['A3',1,STAC,.10],['C4',1,STAC,.08],
+          ['A2',2,STAC,.16],['E4',2,STAC,.08],['C4',2,STAC,.08],['E3',3,STAC,.10],['A3',3,STAC,.10]],
+        melody: [['A4',0,HOLD,.11],['C5',1,STAC,.09],['E5',2,HOLD,.11],['D5',3,STAC,.09]],
+      },
+      { // Bar 6: D7→G stride + chromatic run
+        stride: [['A2',0,STAC,.16],['D4',0,STAC,.08],['Fs3',0,STAC,.08],['D3',1,STAC,.10],['Fs3',1,STAC,.10],['A3',1,STAC,.08],
+          ['G2',2,STAC,.16],['D4',2,STAC,.08],['B3',2,STAC,.08],['D3',3,STAC,.10],['G3',3,STAC,.10],['B3',3,STAC,.08]],
+        melody: [['D5',0,STAC,.09],['Cs4',0.5,STAC,.07],['D5',1,STAC,.10],['C5',1.5,STAC,.07],['B4',2,HOLD,.11],['A4',3,STAC,.09]],
+      },
+      { // Bar 7: F major stride + high trill
+        stride: [['C2',0,STAC,.16],['F4',0,STAC,.08],['A3',0,STAC,.08],['F3',1,STAC,.10],['A3',1,STAC,.10],['C4',1,STAC,.08],
+          ['C2',2,STAC,.16],['E4',2,STAC,.08],['G3',2,STAC,.08],['E3',3,STAC,.10],['G3',3,STAC,.10],['C4',3,STAC,.08]],
+        melody: [['F5',0,STAC,.09],['E5',0.5,STAC,.07],['F5',1,STAC,.09],['G5',1.5,STAC,.07],['E5',2,HOLD,.11],['C5',3,STAC,.09]],
+      },
+      { // Bar 8: C→G7→C ending flourish
+        stride: [['C2',0,STAC,.16],['E4',0,STAC,.08],['G4',0,STAC,.08],['E3',1,STAC,.10],['G3',1,STAC,.10],['C4',1,STAC,.08],
+          ['G2',2,STAC,.16],['D4',2,STAC,.08],['B3',2,STAC,.07],['C2',3,STAC,.16],['E4',3,STAC,.08],['G4',3,LONG,.08]],
+        melody: [['G5',0,STAC,.10],['E5',0.5,STAC,.08],['D5',1,STAC,.09],['C5',1.5,STAC,.07],['B4',2,STAC,.09],['C5',3,LONG,.12]],
+      },
+    ],
+  },
+
+  // Barn-dance hoedown in G — fiddle over banjo chop and a walking bass
+  hoedown: {
+    bpm: [160, 196],
+    minor: { B: 'Bb', E: 'Eb', Fs: 'F' },
+    voices: {
+      bass: { instrument: 'piano' },
+      chop: { instrument: 'banjo' },
+      lead: { instrument: 'fiddle' },
+      double: { instrument: 'reed', part: 'bass', from: 0.4 },
+      sparkle: { instrument: 'bell', part: 'lead', octave: 1, from: 0.75 },
+      ...GROOVE,
+    },
+    bars: [
+      { // G
+        bass: [['G2',0,STAC,.16],['D2',2,STAC,.14]],
+        chop: [...chord(['G3','B3','D4'],1,.25,.07), ...chord(['G3','B3','D4'],3,.25,.07)],
+        lead: [['D5',0,.5,.09],['B4',.5,.5,.08],['G4',1,.5,.09],['B4',1.5,.5,.08],['D5',2,1,.1],['G5',3,1,.1]],
+      },
+      { // C
+        bass: [['C3',0,STAC,.16],['G2',2,STAC,.14]],
+        chop: [...chord(['G3','C4','E4'],1,.25,.07), ...chord(['G3','C4','E4'],3,.25,.07)],
+        lead: [['E5',0,.5,.09],['D5',.5,.5,.08],['C5',1,.5,.09],['E5',1.5,.5,.08],['G5',2,1,.1],['E5',3,1,.09]],
+      },
+      { // D
+        bass: [['D3',0,STAC,.16],['A2',2,STAC,.14]],
+        chop: [...chord(['Fs3','A3','D4'],1,.25,.07), ...chord(['Fs3','A3','D4'],3,.25,.07)],
+        lead: [['Fs5',0,.5,.09],['E5',.5,.5,.08],['D5',1,.5,.09],['A4',1.5,.5,.08],['Fs4',2,.5,.09],['A4',2.5,.5,.08],['D5',3,1,.1]],
+      },
+      { // G, with a run back up to the top
+        bass: [['G2',0,STAC,.16],['A2',1,STAC,.12],['B2',2,STAC,.14],['D3',3,STAC,.12]],
+        chop: [...chord(['G3','B3','D4'],1,.25,.07), ...chord(['G3','B3','D4'],3,.25,.07)],
+        lead: [['B4',0,.5,.09],['A4',.5,.5,.08],['G4',1,1,.1],['D4',2,.5,.08],['G4',2.5,.5,.08],['A4',3,.5,.09],['B4',3.5,.5,.09]],
+      },
+    ],
+  },
+
+  // Slow minor-key standoff — whistled tune over a picked guitar
+  desperado: {
+    bpm: [104, 128],
+    voices: {
+      bass: { instrument: 'twang' },
+      guitar: { instrument: 'twang' },
+      lead: { instrument: 'whistle' },
+      double: { instrument: 'reed', part: 'bass', octave: 1, gain: 0.6, from: 0.4 },
+      sparkle: { instrument: 'bell', part: 'lead', from: 0.75 },
+      ...GROOVE,
+    },
+    bars: [
+      { // Am
+        bass: [['A1',0,1.5,.16],['E2',2,1.5,.14]],
+        guitar: arp(['A3','C4','E4','A4'], .06),
+        lead: [['E5',0,1.5,.11],['A5',1.5,.5,.09],['G5',2,1,.1],['E5',3,1,.1]],
+      },
+      { // G
+        bass: [['G1',0,1.5,.16],['D2',2,1.5,.14]],
+        guitar: arp(['G3','B3','D4','G4'], .06),
+        lead: [['D5',0,1.5,.1],['E5',1.5,.5,.09],['D5',2,.5,.09],['B4',2.5,.5,.08],['G4',3,1,.1]],
+      },
+      { // F
+        bass: [['F1',0,1.5,.16],['C2',2,1.5,.14]],
+        guitar: arp(['F3','A3','C4','F4'], .06),
+        lead: [['A4',0,1,.1],['C5',1,1,.1],['F5',2,1.5,.11],['E5',3.5,.5,.09]],
+      },
+      { // E
+        bass: [['E2',0,1.5,.16],['B1',2,1.5,.14]],
+        guitar: arp(['E3','Gs3','B3','E4'], .06),
+        lead: [['E5',0,2,.11],['Gs4',2,1,.09],['B4',3,1,.1]],
+      },
+    ],
+  },
+
+  // Title-screen theme: an easy-going whistle over piano chords
+  intro: {
+    bpm: 96,
+    voices: {
+      bass: { instrument: 'piano' },
+      keys: { instrument: 'piano' },
+      lead: { instrument: 'whistle' },
+    },
+    bars: [
+      { bass: [['C2',0,3.5,.13]], keys: [...chord(['C3','E3','G3'],0,1.8,.07), ...chord(['C3','E3','G3'],2,1.8,.06)],
+        lead: [['G4',0,1,.1],['C5',1,1,.1],['E5',2,2,.11]] },
+      { bass: [['A1',0,3.5,.13]], keys: [...chord(['A2','C3','E3'],0,1.8,.07), ...chord(['A2','C3','E3'],2,1.8,.06)],
+        lead: [['D5',0,1,.1],['C5',1,1,.1],['A4',2,2,.11]] },
+      { bass: [['F1',0,3.5,.13]], keys: [...chord(['F2','A2','C3'],0,1.8,.07), ...chord(['F2','A2','C3'],2,1.8,.06)],
+        lead: [['F4',0,1,.1],['A4',1,1,.1],['C5',2,1.5,.1],['D5',3.5,.5,.08]] },
+      { bass: [['G1',0,3.5,.13]], keys: [...chord(['G2','B2','D3'],0,1.8,.07), ...chord(['G2','B2','D3'],2,1.8,.06)],
+        lead: [['B4',0,1,.1],['D5',1,1,.1],['G4',2,2,.1]] },
+    ],
+  },
+
+  // Stinger played in place of the next bar when a wave is cleared
+  fanfare: {
+    bpm: [150, 186],
+    loop: false,
+    voices: { lead: { instrument: 'brass' }, bass: { instrument: 'brass' } },
+    bars: [{
+      lead: [['C4',0,STAC,.12],['E4',.5,STAC,.12],['G4',1,STAC,.12],['C5',1.5,LONG,.14],['G4',3,STAC,.10],['C5',3.5,STAC,.14]],
+      bass: [['C2',0,HOLD,.16],['G2',1.5,HOLD,.14],['C2',3,HOLD,.16]],
+    }],
+  },
+
+  // Falling 'wah-wah' at game over
+  dirge: {
+    bpm: 150,
+    beats: 5,
+    loop: false,
+    voices: { lead: { instrument: 'horn' }, bass: { instrument: 'horn' } },
+    bars: [{
+      lead: [['G4',0,HOLD,.12],['Fs4',.8,HOLD,.12],['F4',1.6,HOLD,.12],['E4',2.4,2.4,.14]],
+      bass: [['C2',2.4,2.4,.16]],
+    }],
+  },
+};
+
+// In-game tunes, rotated one per wave
+const IN_GAME_SONGS = ['ragtime', 'hoedown', 'desperado'];
+
+const MUSIC_LOOKAHEAD = 0.25;  // s; bars are scheduled this far ahead of the audio clock
+
+// ── Effect synthesis ──
+// Noisy one-shots are built here once per variant and rendered offline to
+// buffers (see AudioManager._prerender); `build` wires the sound into `out`
+// starting at `now`, on either a live or an OfflineAudioContext, and returns
+// the sources it started.
+const SFX_VARIANTS = 3;        // renders per sound, so the noise isn't identical every time
+const SFX_PITCH_VARY = 0.06;   // ± playback-rate spread per play
+const SFX_GAIN_VARY = 0.15;    // up to this much quieter per play
+
+// Optional recorded sounds. The manifest maps cue names — gunshot, enemyShot,
+// chandelier, glass, doorCreak, reload, click — to files beside it:
+//   { "version": 1, "cues": { "gunshot": { "files": ["shot1.m4a", "shot2.m4a"], "gain": 0.9 } } }
+// (a bare file name works too). Cues it doesn't list keep the synth.
+const SOUND_PACK_URL = 'sounds/pack.json';
+
+function noiseBuffer(ctx, secs, env) {
+  const n = Math.floor(ctx.sampleRate * secs);
+  const buf = ctx.createBuffer(1, n, ctx.sampleRate);
+  const d = buf.getChannelData(0);
+  for (let i = 0; i < n; i++) d[i] = (Math.random() * 2 - 1) * env(i / n, i);
+  return buf;
+}
+
+const SFX_SYNTHS = {
+  gunshot: { length: 0.3, build(ctx, out, now) {
+    const src = ctx.createBufferSource(); src.buffer = noiseBuffer(ctx, 0.28, f => Math.pow(1 - f, 3.5));
     const flt = ctx.createBiquadFilter(); flt.type = 'lowpass';
     flt.frequency.setValueAtTime(4500, now);
     flt.frequency.exponentialRampToValueAtTime(250, now + 0.18);
     const g = ctx.createGain();
     g.gain.setValueAtTime(0.45, now);
     g.gain.exponentialRampToValueAtTime(0.001, now + 0.22);
-    src.connect(flt); flt.connect(g); g.connect(ctx.destination);
+    src.connect(flt); flt.connect(g); g.connect(out);
     src.start(now); src.stop(now + 0.28);
     const thud = ctx.createOscillator(); thud.type = 'sine';
     thud.frequency.setValueAtTime(140, now);
@@ -295,31 +614,25 @@ class AudioManager {
     const tg = ctx.createGain();
     tg.gain.setValueAtTime(0.25, now);
     tg.gain.exponentialRampToValueAtTime(0.001, now + 0.12);
-    thud.connect(tg); tg.connect(ctx.destination);
+    thud.connect(tg); tg.connect(out);
     thud.start(now); thud.stop(now + 0.13);
-  }
+    return [src, thud];
+  } },
 
-  playEnemyShot() {
-    if (!this.initialized) return;
-    const ctx = this.ctx, now = ctx.currentTime;
-    const bufSz = Math.floor(ctx.sampleRate * 0.2);
-    const buf = ctx.createBuffer(1, bufSz, ctx.sampleRate);
-    const d = buf.getChannelData(0);
-    for (let i = 0; i < bufSz; i++) d[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bufSz, 4);
-    const src = ctx.createBufferSource(); src.buffer = buf;
+  enemyShot: { length: 0.22, build(ctx, out, now) {
+    const src = ctx.createBufferSource(); src.buffer = noiseBuffer(ctx, 0.2, f => Math.pow(1 - f, 4));
     const flt = ctx.createBiquadFilter(); flt.type = 'lowpass';
     flt.frequency.setValueAtTime(3000, now);
     flt.frequency.exponentialRampToValueAtTime(200, now + 0.12);
     const g = ctx.createGain();
     g.gain.setValueAtTime(0.3, now);
     g.gain.exponentialRampToValueAtTime(0.001, now + 0.18);
-    src.connect(flt); flt.connect(g); g.connect(ctx.destination);
+    src.connect(flt); flt.connect(g); g.connect(out);
     src.start(now); src.stop(now + 0.2);
-  }
+    return [src];
+  } },
 
-  playChandelierCrash() {
-    if (!this.initialized) return;
-    const ctx = this.ctx, now = ctx.currentTime;
+  chandelier: { length: 0.7, build(ctx, out, now) {
     // Heavy metal impact
     const osc1 = ctx.createOscillator(); osc1.type = 'triangle';
     osc1.frequency.setValueAtTime(280, now);
@@ -327,23 +640,17 @@ class AudioManager {
     const g1 = ctx.createGain();
     g1.gain.setValueAtTime(0.3, now);
     g1.gain.exponentialRampToValueAtTime(0.001, now + 0.35);
-    osc1.connect(g1); g1.connect(ctx.destination);
+    osc1.connect(g1); g1.connect(out);
     osc1.start(now); osc1.stop(now + 0.36);
     // Glass/crystal shattering
-    const bufSz = Math.floor(ctx.sampleRate * 0.5);
-    const buf = ctx.createBuffer(1, bufSz, ctx.sampleRate);
-    const d = buf.getChannelData(0);
-    for (let i = 0; i < bufSz; i++) {
-      d[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bufSz, 2) *
-             (1 + 0.7 * Math.sin(i * 0.06));
-    }
-    const src = ctx.createBufferSource(); src.buffer = buf;
+    const src = ctx.createBufferSource();
+    src.buffer = noiseBuffer(ctx, 0.5, (f, i) => Math.pow(1 - f, 2) * (1 + 0.7 * Math.sin(i * 0.06)));
     const flt = ctx.createBiquadFilter(); flt.type = 'highpass';
     flt.frequency.setValueAtTime(2500, now + 0.05);
     const g2 = ctx.createGain();
     g2.gain.setValueAtTime(0.25, now + 0.05);
     g2.gain.exponentialRampToValueAtTime(0.001, now + 0.45);
-    src.connect(flt); flt.connect(g2); g2.connect(ctx.destination);
+    src.connect(flt); flt.connect(g2); g2.connect(out);
     src.start(now + 0.05); src.stop(now + 0.5);
     // Metallic ringing overtone (chandelier chain vibration)
     const ring = ctx.createOscillator(); ring.type = 'sine';
@@ -352,13 +659,367 @@ class AudioManager {
     const rg = ctx.createGain();
     rg.gain.setValueAtTime(0.06, now + 0.1);
     rg.gain.exponentialRampToValueAtTime(0.001, now + 0.65);
-    ring.connect(rg); rg.connect(ctx.destination);
+    ring.connect(rg); rg.connect(out);
     ring.start(now + 0.1); ring.stop(now + 0.66);
+    return [osc1, src, ring];
+  } },
+
+  glass: { length: 0.36, build(ctx, out, now) {
+    // High-freq noise burst simulating glass
+    const src = ctx.createBufferSource();
+    src.buffer = noiseBuffer(ctx, 0.35, (f, i) => Math.pow(1 - f, 2.5) * (1 + 0.5 * Math.sin(i * 0.08)));
+    const flt = ctx.createBiquadFilter(); flt.type = 'highpass';
+    flt.frequency.setValueAtTime(3000, now);
+    const g = ctx.createGain();
+    g.gain.setValueAtTime(0.2, now);
+    g.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
+    src.connect(flt); flt.connect(g); g.connect(out);
+    src.start(now); src.stop(now + 0.35);
+    // Tinkling overtone
+    const osc = ctx.createOscillator(); osc.type = 'sine';
+    osc.frequency.setValueAtTime(4200, now);
+    osc.frequency.exponentialRampToValueAtTime(1200, now + 0.2);
+    const g2 = ctx.createGain();
+    g2.gain.setValueAtTime(0.08, now);
+    g2.gain.exponentialRampToValueAtTime(0.001, now + 0.25);
+    osc.connect(g2); g2.connect(out);
+    osc.start(now); osc.stop(now + 0.26);
+    return [src, osc];
+  } },
+};
+
+class AudioManager {
+  constructor() {
+    this.ctx = null;
+    this.initialized = false;
+    this.musicPlaying = false;
+    this.musicGain = null;
+    this.musicTimer = null;
+    this.buses = {};        // bus name → GainNode (plus 'master')
+    this.duckGain = null;
+    this.muteGain = null;
+    this.muted = false;
+    this.volumes = { master: 1, music: 1, sfx: 1, ui: 1, ambience: 1 };
+    this.song = null; this.pendingSong = null; this.pendingStinger = null;
+    this.intensity = 0; this.tense = false;
+    this.barIndex = 0; this.nextBarTime = 0; this.noiseBuf = null;
+    this.sfxCache = {};    // SFX_SYNTHS name → rendered AudioBuffer variants
+    this.samples = {};     // sound-pack cue → { bufs, gain }
+    this.asleep = false;   // app is backgrounded (see sleep/wake)
+    this.onInterrupt = null;
+    this.liveSources = 0;  // started oscillators/buffer sources not yet ended (perf overlay only)
+    this.countingSources = false;
+  }
+
+  init() {
+    if (this.initialized || typeof window === 'undefined') return;
+    try {
+      const ctx = this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+      this.muteGain = ctx.createGain();
+      this.muteGain.connect(ctx.destination);
+      // Fast, hard compression near 0 dBFS: stacked gunshots stay loud but never clip
+      const limiter = ctx.createDynamicsCompressor();
+      limiter.threshold.value = -8; limiter.knee.value = 4; limiter.ratio.value = 14;
+      limiter.attack.value = 0.002; limiter.release.value = 0.18;
+      limiter.connect(this.muteGain);
+      this.buses.master = ctx.createGain();
+      this.buses.master.connect(limiter);
+      for (const name of AUDIO_BUSES) {
+        this.buses[name] = ctx.createGain();
+        this.buses[name].connect(this.buses.master);
+      }
+      this.duckGain = ctx.createGain();
+      this.duckGain.connect(this.buses.music);
+      // The system took the audio (call, Siri, another app) while we were visible
+      ctx.onstatechange = () => { if (ctx.state !== 'running' && !this.asleep && this.onInterrupt) this.onInterrupt(); };
+      this.initialized = true;
+      this._applyVolumes();
+      this._prerender();
+      this.loadSoundPack(SOUND_PACK_URL);
+    } catch (_) {}
+  }
+
+  // While the perf overlay is up, every source the play paths start counts
+  // until it ends; toggling starts the count afresh
+  countSources(on) {
+    this.countingSources = on;
+    this.liveSources = 0;
+    this.sourceGen = (this.sourceGen || 0) + 1;
+  }
+
+  _track(...srcs) {
+    if (!this.countingSources) return;
+    const gen = this.sourceGen;
+    this.liveSources += srcs.length;
+    for (const src of srcs) src.onended = () => { if (this.sourceGen === gen) this.liveSources--; };
+  }
+
+  // Volumes are 0–1 per bus name; safe to call before init() and while playing
+  setVolumes(volumes) {
+    for (const name of ['master', ...AUDIO_BUSES]) if (volumes[name] !== undefined) this.volumes[name] = volumes[name];
+    this._applyVolumes();
   }
 
-  playDoorCreak() {
+  setMuted(muted) {
+    this.muted = !!muted;
+    this._applyVolumes();
+  }
+
+  _applyVolumes() {
     if (!this.initialized) return;
-    const ctx = this.ctx, now = ctx.currentTime;
+    for (const name in this.buses) this.buses[name].gain.value = this.volumes[name];
+    this.muteGain.gain.value = this.muted ? 0 : 1;
+  }
+
+  // Dip the music to `depth` (0–1) for `hold` seconds, then let it swell back
+  duck(depth, hold) {
+    if (!this.initialized) return;
+    const g = this.duckGain.gain, now = this.ctx.currentTime;
+    g.cancelScheduledValues(now);
+    g.setValueAtTime(g.value, now);
+    g.setTargetAtTime(Math.min(depth, g.value), now, 0.012);
+    g.setTargetAtTime(1, now + hold, 0.22);
+  }
+
+  // Called from user gestures too: iOS leaves the context 'interrupted' after
+  // a phone call or Siri until the page touches it again
+  resume() {
+    if (!this.ctx || this.asleep || this.ctx.state === 'running') return;
+    try { const p = this.ctx.resume(); if (p && p.catch) p.catch(() => {}); } catch (_) {}
+  }
+
+  // App backgrounded: freeze the audio clock and the music scheduler
+  sleep() {
+    this.asleep = true;
+    if (this.musicTimer) { clearTimeout(this.musicTimer); this.musicTimer = null; }
+    if (this.ctx && this.ctx.state === 'running') {
+      try { const p = this.ctx.suspend(); if (p && p.catch) p.catch(() => {}); } catch (_) {}
+    }
+  }
+
+  wake() {
+    if (!this.asleep) return;
+    this.asleep = false;
+    this.resume();
+    if (this.musicPlaying && !this.musicTimer) {
+      this.nextBarTime = Math.max(this.nextBarTime, this.ctx.currentTime + 0.1);
+      this._scheduleLoop();
+    }
+  }
+
+  // Node to connect a sound into: `bus` itself, or — given game coords — a
+  // distance gain and stereo panner in front of it
+  _out(bus, x, y) {
+    if (x === undefined) return bus;
+    const ctx = this.ctx, g = ctx.createGain();
+    const d = Math.hypot(x - LISTENER_X, LISTENER_Y - y);
+    g.gain.value = SPATIAL_REF / (SPATIAL_REF + SPATIAL_ROLLOFF * Math.max(0, d - SPATIAL_REF));
+    if (ctx.createStereoPanner) {
+      const pan = ctx.createStereoPanner();
+      pan.pan.value = clamp((x - LISTENER_X) / (W / 2), -1, 1) * PAN_WIDTH;
+      g.connect(pan); pan.connect(bus);
+    } else g.connect(bus);
+    return g;
+  }
+
+  // One note of an INSTRUMENTS preset into the current music gain
+  playInstrument(inst, freq, start, dur, vol) {
+    const ctx = this.ctx, end = start + dur, peak = vol * inst.gain;
+    let src;
+    if (inst.noise) {
+      src = ctx.createBufferSource(); src.buffer = this._noise();
+    } else {
+      src = ctx.createOscillator(); src.type = inst.wave;
+      src.frequency.setValueAtTime(freq, start);
+      if (inst.drop) src.frequency.exponentialRampToValueAtTime(freq * inst.drop, end);
+    }
+    const g = ctx.createGain();
+    if (inst.attack) {
+      g.gain.setValueAtTime(0.001, start);
+      g.gain.linearRampToValueAtTime(peak, start + inst.attack);
+    } else g.gain.setValueAtTime(peak, start);
+    if (inst.hold) g.gain.setValueAtTime(peak * inst.sustain, start + dur * inst.hold);
+    g.gain.exponentialRampToValueAtTime(0.001, end);
+    let out = src;
+    if (inst.filter) {
+      out = ctx.createBiquadFilter(); out.type = inst.filter[0]; out.frequency.value = inst.filter[1];
+      src.connect(out);
+    }
+    out.connect(g); g.connect(this.musicGain);
+    src.start(start); src.stop(end + 0.02);
+    this._track(src);
+  }
+
+  // Starts a SONGS entry. `immediate` cuts the current tune (game start, game
+  // over, back to the title); otherwise the switch waits for the next bar line
+  // and any queued stinger.
+  playSong(id, immediate) {
+    if (!this.initialized) return;
+    if (!immediate && this.musicPlaying) { this.pendingSong = id; return; }
+    this.stopMusic();
+    this.song = id; this.pendingSong = null; this.pendingStinger = null;
+    this.musicPlaying = true;
+    this.musicGain = this.ctx.createGain();
+    this.musicGain.gain.value = MUSIC_LEVEL;
+    this.musicGain.connect(this.duckGain);
+    this.barIndex = 0;
+    this.nextBarTime = this.ctx.currentTime + 0.1;
+    this._scheduleLoop();
+  }
+
+  stopMusic() {
+    this.musicPlaying = false;
+    if (this.musicTimer) { clearTimeout(this.musicTimer); this.musicTimer = null; }
+    if (this.musicGain) {
+      try { this.musicGain.gain.linearRampToValueAtTime(0.001, this.ctx.currentTime + 0.4); } catch (_) {}
+    }
+  }
+
+  // Game-state inputs to the music; read at the next bar line
+  setIntensity(v) { this.intensity = clamp(v, 0, 1); }
+  setTense(on) { this.tense = !!on; }
+  queueStinger(id) { this.pendingStinger = id; }
+
+  // Bars are scheduled one at a time just ahead of the audio clock, so tempo,
+  // layers, key changes and song switches always land on a bar line
+  _scheduleLoop() {
+    if (!this.musicPlaying || !this.initialized || this.asleep) return;
+    while (this.musicPlaying && this.nextBarTime < this.ctx.currentTime + MUSIC_LOOKAHEAD) {
+      this.nextBarTime += this._scheduleBar(this.nextBarTime);
+    }
+    if (this.musicPlaying) this.musicTimer = setTimeout(() => this._scheduleLoop(), 100);
+  }
+
+  // Renders the next bar at audio time `t`; returns its length in seconds
+  _scheduleBar(t) {
+    if (this.pendingStinger) {
+      const sting = SONGS[this.pendingStinger];
+      this.pendingStinger = null;
+      return this._renderBar(sting, sting.bars[0], t);
+    }
+    if (this.pendingSong) { this.song = this.pendingSong; this.pendingSong = null; this.barIndex = 0; }
+    const song = SONGS[this.song];
+    if (song.loop === false && this.barIndex >= song.bars.length) { this.musicPlaying = false; return 0; }
+    return this._renderBar(song, song.bars[this.barIndex++ % song.bars.length], t);
+  }
+
+  _renderBar(song, bar, t) {
+    const bt = 60 / (Array.isArray(song.bpm) ? lerp(song.bpm[0], song.bpm[1], this.intensity) : song.bpm);
+    const minor = this.tense && song.minor;
+    for (const name in song.voices) {
+      const v = song.voices[name];
+      if (this.intensity < (v.from || 0) || (v.tense && !this.tense)) continue;
+      const notes = v.each || bar[v.part || name];
+      if (!notes) continue;
+      const inst = INSTRUMENTS[v.instrument];
+      for (let [note, beat, beats, vol] of notes) {
+        if (v.octaves && !v.octaves.includes(+note.slice(-1))) continue;
+        if (minor) note = renamePitch(note, minor);
+        note = shiftOctave(note, v.octave);
+        this.playInstrument(inst, inst.noise ? 0 : noteFreq(note), t + beat * bt, beats * bt, vol * (v.gain || 1));
+      }
+    }
+    return bt * (song.beats || 4);
+  }
+
+  _noise() {
+    if (!this.noiseBuf) this.noiseBuf = noiseBuffer(this.ctx, 0.1, () => 1);
+    return this.noiseBuf;
+  }
+
+  // Renders every SFX_SYNTHS entry to buffers in the background. Until a
+  // sound's buffers arrive (or without OfflineAudioContext) it plays live.
+  _prerender() {
+    const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!Offline) return;
+    const rate = this.ctx.sampleRate;
+    for (const name in SFX_SYNTHS) {
+      const synth = SFX_SYNTHS[name];
+      this.sfxCache[name] = [];
+      for (let v = 0; v < SFX_VARIANTS; v++) {
+        try {
+          const off = new Offline(1, Math.ceil(synth.length * rate), rate);
+          synth.build(off, off.destination, 0);
+          const done = buf => { if (buf) this.sfxCache[name].push(buf); };
+          off.oncomplete = e => done(e.renderedBuffer);  // older Safari: no promise
+          const p = off.startRendering();
+          if (p && p.then) { off.oncomplete = null; p.then(done, () => {}); }
+        } catch (_) {}
+      }
+    }
+  }
+
+  // Loads a sound-pack manifest and decodes its files. A missing pack is normal.
+  loadSoundPack(url) {
+    const base = url.slice(0, url.lastIndexOf('/') + 1);
+    loadAsset(url, 'json', pack => {
+      for (const name in pack.cues || {}) {
+        const cue = typeof pack.cues[name] === 'string' ? { files: [pack.cues[name]] } : pack.cues[name];
+        const entry = { bufs: [], gain: cue.gain === undefined ? 1 : cue.gain };
+        for (const file of cue.files || []) {
+          loadAsset(base + file, 'arraybuffer', data => {
+            // Callback form: older Safari has no promise from decodeAudioData
+            try {
+              this.ctx.decodeAudioData(data, buf => {
+                entry.bufs.push(buf);
+                this.samples[name] = entry;
+              }, () => {});
+            } catch (_) {}
+          });
+        }
+      }
+    });
+  }
+
+  // Plays `bufs` (one picked at random) with a little pitch and level spread
+  _playBuffer(bufs, gain, out) {
+    const ctx = this.ctx, src = ctx.createBufferSource();
+    src.buffer = bufs[Math.floor(Math.random() * bufs.length)];
+    src.playbackRate.value = 1 + (Math.random() * 2 - 1) * SFX_PITCH_VARY;
+    const g = ctx.createGain();
+    g.gain.value = gain * (1 - Math.random() * SFX_GAIN_VARY);
+    src.connect(g); g.connect(out);
+    src.start();
+    this._track(src);
+  }
+
+  // Sound-pack recording for `name`, if one is loaded; returns whether it played
+  _playSample(name, out) {
+    const s = this.samples[name];
+    if (!s) return false;
+    this._playBuffer(s.bufs, s.gain, out);
+    return true;
+  }
+
+  // Recording if the pack has one, else the pre-rendered synth, else live synth
+  _playSfx(name, out) {
+    if (this._playSample(name, out)) return;
+    const bufs = this.sfxCache[name];
+    if (bufs && bufs.length) this._playBuffer(bufs, 1, out);
+    else this._track(...SFX_SYNTHS[name].build(this.ctx, out, this.ctx.currentTime));
+  }
+
+  playGunshot() {
+    if (!this.initialized) return;
+    this.duck(0.45, 0.12);
+    this._playSfx('gunshot', this.buses.sfx);
+  }
+
+  playEnemyShot(x, y) {
+    if (!this.initialized) return;
+    this._playSfx('enemyShot', this._out(this.buses.sfx, x, y));
+  }
+
+  playChandelierCrash(x, y) {
+    if (!this.initialized) return;
+    this.duck(0.25, 0.9);
+    this._playSfx('chandelier', this._out(this.buses.sfx, x, y));
+  }
+
+  playDoorCreak(x, y) {
+    if (!this.initialized) return;
+    const ctx = this.ctx, now = ctx.currentTime, out = this._out(this.buses.ambience, x, y);
+    if (this._playSample('doorCreak', out)) return;
     const osc = ctx.createOscillator(); osc.type = 'sawtooth';
     osc.frequency.setValueAtTime(55, now);
     osc.frequency.linearRampToValueAtTime(170, now + 0.12);
@@ -369,42 +1030,18 @@ class AudioManager {
     g.gain.setValueAtTime(0.1, now);
     g.gain.linearRampToValueAtTime(0.05, now + 0.1);
     g.gain.exponentialRampToValueAtTime(0.001, now + 0.36);
-    osc.connect(flt); flt.connect(g); g.connect(ctx.destination);
+    osc.connect(flt); flt.connect(g); g.connect(out);
     osc.start(now); osc.stop(now + 0.38);
+    this._track(osc);
   }
 
-  playGlassShatter() {
+  playGlassShatter(x, y) {
     if (!this.initialized) return;
-    const ctx = this.ctx, now = ctx.currentTime;
-    // High-freq noise burst simulating glass
-    const bufSz = Math.floor(ctx.sampleRate * 0.35);
-    const buf = ctx.createBuffer(1, bufSz, ctx.sampleRate);
-    const d = buf.getChannelData(0);
-    for (let i = 0; i < bufSz; i++) {
-      d[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / bufSz, 2.5) *
-             (1 + 0.5 * Math.sin(i * 0.08));
-    }
-    const src = ctx.createBufferSource(); src.buffer = buf;
-    const flt = ctx.createBiquadFilter(); flt.type = 'highpass';
-    flt.frequency.setValueAtTime(3000, now);
-    const g = ctx.createGain();
-    g.gain.setValueAtTime(0.2, now);
-    g.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
-    src.connect(flt); flt.connect(g); g.connect(ctx.destination);
-    src.start(now); src.stop(now + 0.35);
-    // Tinkling overtone
-    const osc = ctx.createOscillator(); osc.type = 'sine';
-    osc.frequency.setValueAtTime(4200, now);
-    osc.frequency.exponentialRampToValueAtTime(1200, now + 0.2);
-    const g2 = ctx.createGain();
-    g2.gain.setValueAtTime(0.08, now);
-    g2.gain.exponentialRampToValueAtTime(0.001, now + 0.25);
-    osc.connect(g2); g2.connect(ctx.destination);
-    osc.start(now); osc.stop(now + 0.26);
+    this._playSfx('glass', this._out(this.buses.sfx, x, y));
   }
 
   playReload() {
-    if (!this.initialized) return;
+    if (!this.initialized || this._playSample('reload', this.buses.sfx)) return;
     const ctx = this.ctx, now = ctx.currentTime;
     // Cylinder open — latch click + creak
     const latch = ctx.createOscillator(); latch.type = 'square';
@@ -413,7 +1050,7 @@ class AudioManager {
     const lg = ctx.createGain();
     lg.gain.setValueAtTime(0.14, now);
     lg.gain.exponentialRampToValueAtTime(0.001, now + 0.05);
-    latch.connect(lg); lg.connect(ctx.destination);
+    latch.connect(lg); lg.connect(this.buses.sfx);
     latch.start(now); latch.stop(now + 0.06);
     // Cylinder swing open — low metallic creak
     const creak = ctx.createOscillator(); creak.type = 'sawtooth';
@@ -425,7 +1062,7 @@ class AudioManager {
     const ckg = ctx.createGain();
     ckg.gain.setValueAtTime(0.06, now + 0.04);
     ckg.gain.exponentialRampToValueAtTime(0.001, now + 0.22);
-    creak.connect(cf); cf.connect(ckg); ckg.connect(ctx.destination);
+    creak.connect(cf); cf.connect(ckg); ckg.connect(this.buses.sfx);
     creak.start(now + 0.04); creak.stop(now + 0.24);
     // 6 individual bullet insertions — each is a metallic "click-thunk"
     const bulletStart = 0.28;
@@ -439,7 +1076,7 @@ class AudioManager {
       const slg = ctx.createGain();
       slg.gain.setValueAtTime(0.06, t);
       slg.gain.exponentialRampToValueAtTime(0.001, t + 0.035);
-      slide.connect(slg); slg.connect(ctx.destination);
+      slide.connect(slg); slg.connect(this.buses.sfx);
       slide.start(t); slide.stop(t + 0.04);
       // Bullet seat — thunk (low click when bullet seats in chamber)
       const seat = ctx.createOscillator(); seat.type = 'triangle';
@@ -448,7 +1085,7 @@ class AudioManager {
       const sg = ctx.createGain();
       sg.gain.setValueAtTime(0.12, t + 0.03);
       sg.gain.exponentialRampToValueAtTime(0.001, t + 0.09);
-      seat.connect(sg); sg.connect(ctx.destination);
+      seat.connect(sg); sg.connect(this.buses.sfx);
       seat.start(t + 0.03); seat.stop(t + 0.10);
       // Tiny metallic ring after each insertion
       const ring = ctx.createOscillator(); ring.type = 'sine';
@@ -456,8 +1093,9 @@ class AudioManager {
       const rg = ctx.createGain();
       rg.gain.setValueAtTime(0.03, t + 0.04);
       rg.gain.exponentialRampToValueAtTime(0.001, t + 0.1);
-      ring.connect(rg); rg.connect(ctx.destination);
+      ring.connect(rg); rg.connect(this.buses.sfx);
       ring.start(t + 0.04); ring.stop(t + 0.11);
+      this._track(slide, seat, ring);
     }
     // Cylinder snap shut — heavy double click
     const snapT = now + bulletStart + 6 * spacing + 0.08;
@@ -467,7 +1105,7 @@ class AudioManager {
     const s1g = ctx.createGain();
     s1g.gain.setValueAtTime(0.16, snapT);
     s1g.gain.exponentialRampToValueAtTime(0.001, snapT + 0.06);
-    snap1.connect(s1g); s1g.connect(ctx.destination);
+    snap1.connect(s1g); s1g.connect(this.buses.sfx);
     snap1.start(snapT); snap1.stop(snapT + 0.07);
     // Heavy thud on close
     const thud = ctx.createOscillator(); thud.type = 'sine';
@@ -476,7 +1114,7 @@ class AudioManager {
     const tg = ctx.createGain();
     tg.gain.setValueAtTime(0.13, snapT + 0.01);
     tg.gain.exponentialRampToValueAtTime(0.001, snapT + 0.12);
-    thud.connect(tg); tg.connect(ctx.destination);
+    thud.connect(tg); tg.connect(this.buses.sfx);
     thud.start(snapT + 0.01); thud.stop(snapT + 0.13);
     // Cylinder lock click
     const lock = ctx.createOscillator(); lock.type = 'square';
@@ -485,8 +1123,25 @@ class AudioManager {
     const lkg = ctx.createGain();
     lkg.gain.setValueAtTime(0.08, snapT + 0.06);
     lkg.gain.exponentialRampToValueAtTime(0.001, snapT + 0.1);
-    lock.connect(lkg); lkg.connect(ctx.destination);
+    lock.connect(lkg); lkg.connect(this.buses.sfx);
     lock.start(snapT + 0.06); lock.stop(snapT + 0.11);
+    this._track(latch, creak, snap1, thud, lock);
+  }
+
+  // Short wooden tick for menu buttons
+  playClick() {
+    if (!this.initialized || this._playSample('click', this.buses.ui)) return;
+    const ctx = this.ctx, now = ctx.currentTime;
+    const osc = ctx.createOscillator(); osc.type = 'square';
+    osc.frequency.setValueAtTime(1400, now);
+    osc.frequency.exponentialRampToValueAtTime(500, now + 0.03);
+    const flt = ctx.createBiquadFilter(); flt.type = 'bandpass'; flt.frequency.value = 1200;
+    const g = ctx.createGain();
+    g.gain.setValueAtTime(0.12, now);
+    g.gain.exponentialRampToValueAtTime(0.001, now + 0.05);
+    osc.connect(flt); flt.connect(g); g.connect(this.buses.ui);
+    osc.start(now); osc.stop(now + 0.06);
+    this._track(osc);
   }
 }
 
@@ -494,11 +1149,13 @@ class AudioManager {
 class DoorPhysics {
   constructor() {
     this.angleL = 0; this.angleR = 0;
+    this.prevL = 0; this.prevR = 0;
     this.velL = 0; this.velR = 0;
     this.stiffness = 14; this.damping = 4.5;
   }
   push(force) { this.velL += force; this.velR += force; }
   update(dt) {
+    this.prevL = this.angleL; this.prevR = this.angleR;
     const accL = -this.stiffness * this.angleL - this.damping * this.velL;
     const accR = -this.stiffness * this.angleR - this.damping * this.velR;
     this.velL += accL * dt; this.velR += accR * dt;
@@ -508,22 +1165,255 @@ class DoorPhysics {
   }
 }
 
-// ─── GAME ─────────────────────────────────────────────────────────────────────
-class WesternShooter {
+// ─── GAME-TIME TIMERS ───────────────────────────────────────────────────────
+// Delayed callbacks driven by simulated time from update(dt), so they freeze
+// while paused and can be wiped when a run or wave is reset.
+class GameTimers {
+  constructor() { this.now = 0; this.tasks = []; }
+  after(delay, fn) {
+    const task = { at: this.now + delay, fn };
+    this.tasks.push(task);
+    return task;
+  }
+  cancel(task) { this.tasks = this.tasks.filter(t => t !== task); }
+  clear() { this.tasks = []; }
+  get pending() { return this.tasks.length; }
+  update(dt) {
+    this.now += dt;
+    // Fire in due order; a callback may schedule more timers or clear() the queue
+    for (;;) {
+      let next = null;
+      for (const t of this.tasks) if (t.at <= this.now && (!next || t.at < next.at)) next = t;
+      if (!next) break;
+      this.tasks.splice(this.tasks.indexOf(next), 1);
+      next.fn();
+    }
+  }
+}
+
+// ─── OBJECT POOLS ───────────────────────────────────────────────────────────
+// Fixed-capacity storage for short-lived effects. Live objects are packed at
+// the front of `items`, oldest first; dead ones are kept for reuse, so steady
+// play allocates nothing. When full, the oldest live object is recycled.
+class Pool {
+  constructor(capacity) { this.capacity = capacity; this.items = []; this.count = 0; }
+  // A recycled or new object; the caller sets every field it reads
+  spawn() {
+    if (this.count < this.items.length) return this.items[this.count++];
+    if (this.count < this.capacity) { const o = {}; this.items.push(o); this.count++; return o; }
+    const o = this.items[0];
+    this.items.copyWithin(0, 1); this.items[this.count - 1] = o;
+    return o;
+  }
+  // Drops the objects `keep` rejects, preserving the order of the rest
+  sweep(keep) {
+    let n = 0;
+    for (let i = 0; i < this.count; i++) {
+      const o = this.items[i];
+      if (keep(o)) { this.items[i] = this.items[n]; this.items[n++] = o; }
+    }
+    this.count = n;
+  }
+  clear() { this.count = 0; }
+}
+const alive = o => o.t > 0;  // sweep() test for effects with a remaining lifetime `t`
+
+// ─── REPLAYS ─────────────────────────────────────────────────────────────────
+// A replay is the seed plus every input, keyed by the simulation frame it was
+// applied before, plus the dt of each frame (run-length encoded; with the
+// fixed step that is a single run). Feeding it back through update()
+// reproduces the run exactly.
+//   { v, seed, opts, dt: [[seconds, count], …], events: [[frame, type, x?, y?], …] }
+// `opts` holds the run options (difficulty, reload side) it was played with.
+const REPLAY_VERSION = 2;
+
+class ReplayRecorder {
+  constructor(seed, opts) {
+    this.log = { v: REPLAY_VERSION, seed, opts, dt: [], events: [] };
+    this.frame = 0;
+  }
+  tick(dt) {
+    const runs = this.log.dt, last = runs[runs.length - 1];
+    if (last && last[0] === dt) last[1]++; else runs.push([dt, 1]);
+    this.frame++;
+  }
+  event(type, x, y) {
+    const ev = this.log.events, last = ev[ev.length - 1];
+    if (x === undefined) { ev.push([this.frame, type]); return; }
+    const rx = Math.round(x * 10) / 10, ry = Math.round(y * 10) / 10;
+    // Only the final aim position of a frame matters
+    if (type === 'aim' && last && last[0] === this.frame && last[1] === 'aim') { last[2] = rx; last[3] = ry; return; }
+    ev.push([this.frame, type, rx, ry]);
+  }
+}
+
+class ReplayPlayer {
+  constructor(log) {
+    this.log = log;
+    this.frame = 0; this.ev = 0;
+    this.run = 0; this.runLeft = log.dt.length ? log.dt[0][1] : 0;
+  }
+  get done() { return this.run >= this.log.dt.length; }
+  // Applies this frame's inputs, then steps the sim; false once the log is spent
+  step(sim) {
+    const events = this.log.events;
+    while (this.ev < events.length && events[this.ev][0] === this.frame) {
+      const [, type, x, y] = events[this.ev++];
+      if (type === 'tap') sim.onTap(x, y);
+      else if (type === 'aim') sim.aimAt(x, y);
+      else if (type === 'pause') sim.pause();
+      else if (type === 'resume') sim.resume();
+      else if (type === 'lefty' || type === 'righty') sim.runOpts.leftHanded = type === 'lefty';
+    }
+    if (this.done || sim.state !== 'playing') return false;
+    const dt = this.log.dt[this.run][0];
+    if (--this.runLeft === 0 && ++this.run < this.log.dt.length) this.runLeft = this.log.dt[this.run][1];
+    sim.update(dt);
+    this.frame++;
+    return true;
+  }
+}
+
+// ─── PLAYER STATS ────────────────────────────────────────────────────────────
+// Finished runs (newest first, capped) plus lifetime totals and personal
+// records, persisted as one versioned blob. Data from an unknown version is
+// dropped rather than misread.
+//   { v, runs: [run, …], lifetime: { runs, shots, … }, records: { score, … } }
+const STATS_KEY     = 'westernShooterStats';
+const STATS_VERSION = 1;
+const STATS_HISTORY = 20;
+
+class StatsStore {
   constructor() {
-    this.canvas = document.getElementById('gameCanvas');
-    this.ctx    = this.canvas.getContext('2d');
-    this.scale  = 1;
-    this.ox = 0; this.oy = 0;
+    const d = loadJSON(STATS_KEY, null);
+    this.data = d && d.v === STATS_VERSION ? d : StatsStore.empty();
+    // Per-stage records came with the stages; every earlier run was in the saloon
+    const rec = this.data.records;
+    if (!rec.stages) rec.stages = rec.wave ? { saloon: { score: rec.score, wave: rec.wave } } : {};
+  }
+  static empty() {
+    return {
+      v: STATS_VERSION, runs: [],
+      lifetime: { runs: 0, shots: 0, hits: 0, kills: 0, headshots: 0, civiliansHit: 0, bottles: 0, chandeliers: 0, time: 0 },
+      records: { score: 0, wave: 0, accuracy: 0, kills: 0, time: 0, stages: {} },
+    };
+  }
+  get runs()     { return this.data.runs; }
+  get lifetime() { return this.data.lifetime; }
+  get records()  { return this.data.records; }
+
+  // `run` is the summary built by ShooterSim.runSummary()
+  record(run) {
+    const { runs, lifetime: life, records: rec } = this.data;
+    runs.unshift(run);
+    if (runs.length > STATS_HISTORY) runs.length = STATS_HISTORY;
+    life.runs++;
+    for (const k of ['shots', 'hits', 'kills', 'headshots', 'civiliansHit', 'bottles', 'chandeliers', 'time']) life[k] += run[k];
+    rec.score = Math.max(rec.score, run.score);
+    rec.wave  = Math.max(rec.wave, run.wave);
+    rec.kills = Math.max(rec.kills, run.kills);
+    rec.time  = Math.max(rec.time, run.time);
+    // Too few shots says nothing about aim
+    if (run.shots >= 10) rec.accuracy = Math.max(rec.accuracy, run.accuracy);
+    const stage = rec.stages[run.stage] || (rec.stages[run.stage] = { score: 0, wave: 0 });
+    stage.score = Math.max(stage.score, run.score);
+    stage.wave  = Math.max(stage.wave, run.wave);
+    saveJSON(STATS_KEY, this.data);
+  }
+}
 
+// ─── ACHIEVEMENTS ────────────────────────────────────────────────────────────
+// Each entry listens for one sim event (see ShooterSim.emit()) and unlocks the
+// first time `test(sim, data)` passes. Events:
+//   kill { e, headshot } · bottle { b } · chandelier · waveClear { wave }
+const ACHIEVEMENTS = [
+  { id: 'firstBlood', title: 'First Blood', desc: 'Take down your first outlaw',
+    on: 'kill', test: () => true },
+  { id: 'wave10', title: 'Law of the Land', desc: 'Clear wave 10',
+    on: 'waveClear', test: (sim, d) => d.wave >= 10 },
+  { id: 'sixForSix', title: 'Six for Six', desc: 'Six kills with one cylinder',
+    on: 'kill', test: sim => sim.cylinderKills >= MAX_BULLETS },
+  { id: 'cleanHands', title: 'Never Touched a Civilian', desc: 'Clear wave 5 without hitting an innocent',
+    on: 'waveClear', test: (sim, d) => d.wave >= 5 && sim.runCounts.civiliansHit === 0 },
+  { id: 'lightsOut', title: 'Lights Out', desc: 'Drop the chandelier while a 3-HP boss is in the room',
+    on: 'chandelier', test: sim => sim.enemies.some(e => e.boss && e.state !== 'dead') },
+  { id: 'bartender', title: "Bartender's Nightmare", desc: 'Break every bottle on the shelf in one wave',
+    on: 'bottle', test: sim => sim.waveStats[sim.waveStats.length - 1].bottles >= sim.bottles.length },
+];
+const ACHIEVEMENTS_KEY = 'westernShooterAchievements';
+
+// Unlocked ids → unlock time, persisted as { v: 1, unlocked: { id: ms } }
+class AchievementStore {
+  constructor() {
+    const d = loadJSON(ACHIEVEMENTS_KEY, null);
+    this.unlocked = d && d.v === 1 ? d.unlocked : {};
+  }
+  has(id) { return id in this.unlocked; }
+  get count() { return Object.keys(this.unlocked).length; }
+  unlock(id) {
+    this.unlocked[id] = Date.now();
+    saveJSON(ACHIEVEMENTS_KEY, { v: 1, unlocked: this.unlocked });
+  }
+}
+
+// ─── SETTINGS ────────────────────────────────────────────────────────────────
+const SETTINGS_KEY = 'westernShooterSettings';
+const DEFAULT_SETTINGS = {
+  master: 1, music: 1, sfx: 1, ambience: 1, muted: false,
+  difficulty: 'normal', leftHanded: false, crosshair: 'none', vibration: true,
+};
+// Multipliers on spawn interval and on how long outlaws warn/peek before firing
+const DIFFICULTIES = {
+  easy:   { spawn: 1.3, react: 1.35 },
+  normal: { spawn: 1,   react: 1 },
+  hard:   { spawn: 0.8, react: 0.75 },
+};
+// Rows of the settings screen: sliders run 0–1, option rows pick one value.
+// `nextRun` rows only take effect when a new run starts.
+const SETTINGS_ROWS = [
+  { key: 'master', label: 'MASTER', slider: true },
+  { key: 'music', label: 'MUSIC', slider: true },
+  { key: 'sfx', label: 'EFFECTS', slider: true },
+  { key: 'ambience', label: 'AMBIENCE', slider: true },
+  { key: 'muted', label: 'SOUND', options: [[false, 'ON'], [true, 'MUTED']] },
+  { key: 'difficulty', label: 'DIFFICULTY', nextRun: true, options: [['easy', 'EASY'], ['normal', 'NORMAL'], ['hard', 'HARD']] },
+  { key: 'leftHanded', label: 'RELOAD SIDE', options: [[false, 'LEFT'], [true, 'RIGHT']] },
+  { key: 'crosshair', label: 'CROSSHAIR', options: [['none', 'NONE'], ['dot', 'DOT'], ['cross', 'CROSS']] },
+  { key: 'vibration', label: 'VIBRATION', options: [[true, 'ON'], [false, 'OFF']] },
+];
+const SETTINGS_Y0 = 96, SETTINGS_ROW_H = 56, SETTINGS_CTRL_X = 176, SETTINGS_CTRL_W = 280;
+const settingsRowY = i => SETTINGS_Y0 + i * SETTINGS_ROW_H + 24;  // control centre line
+// Stage-select cards, one per levels/index.json entry
+const STAGE_CARD = { x: W / 2 - 190, w: 380, h: 84, y0: 92, gap: 96 };
+const stageCardY = i => STAGE_CARD.y0 + i * STAGE_CARD.gap;
+
+function loadSettings() {
+  const saved = loadJSON(SETTINGS_KEY, null);
+  const s = { ...DEFAULT_SETTINGS, ...(saved && typeof saved === 'object' ? saved : {}) };
+  if (!DIFFICULTIES[s.difficulty]) s.difficulty = DEFAULT_SETTINGS.difficulty;
+  return s;
+}
+
+// ─── SIMULATION ───────────────────────────────────────────────────────────────
+// All game rules and state, with no canvas, DOM or animation loop. The browser
+// game below extends it with rendering and input; Node can drive it directly
+// via tap()/step()/run() and inspect it with snapshot().
+class ShooterSim {
+  // `level` is a buildLevel() result; in Node it defaults to the saloon, in the
+  // browser the shell loads one before the first run
+  constructor(level = typeof window === 'undefined' ? readLevel(DEFAULT_LEVEL) : null) {
+    this.level    = level;
+    this.stages   = typeof window === 'undefined' ? readStages() : null;
     this.state    = 'intro';
     this.score    = 0;
-    this.bestScore = parseInt(localStorage.getItem('westernShooterBest') || '0', 10);
+    this.bestScore = loadBestScore();
     this.lives    = MAX_LIVES;
     this.bullets  = MAX_BULLETS;
     this.reloading = false;
     this.reloadTimer = 0;
     this.wave = 1;
+    this.combo = 0;
+    this.waveStats = [];  // per wave: { wave, shots, hits, bottles } (bottles: distinct ones broken)
     this.waveSpawned = 0;
     this.waveKills = 0;
     this.waveEnemies = 4;
@@ -532,13 +1422,14 @@ class WesternShooter {
 
     this.enemies   = [];
     this.civilians = [];
-    this.particles = [];
-    this.alerts    = [];
-
-    // Bottles (interactive)
-    this.bottles = [];
-    this._initBottles();
-    this.chandelierAlive = true;
+    this.particles = new Pool(PARTICLE_CAP);
+    this.alerts    = new Pool(ALERT_CAP);
+    this.holes     = new Pool(HOLE_CAP);
+
+    // Bottles and other breakables (interactive)
+    this.bottles = []; this.props = [];
+    this._initDestructibles();
+    this.chandelierAlive = !!(level && level.chandelier);
     this.chandelierRespawn = 0;
     this.bottleRespawnTimer = 0;
 
@@ -548,127 +1439,312 @@ class WesternShooter {
     this.crossX = W / 2; this.crossY = H * 0.4;
 
     this.door = new DoorPhysics();
+    this.timers = new GameTimers();
+    this.recorder = null;
+    this.replay = null;
+    this.stats = new StatsStore();
+    this.achievements = new AchievementStore();
+    this.toasts = [];  // freshly unlocked achievements: { a, t }
+    this.cylinderKills = 0;
+    this.runCounts = { kills: 0, headshots: 0, civiliansHit: 0, bottles: 0, chandeliers: 0 };
+    this.runStart = 0; this.ending = false;
+    this.bestReplay = loadJSON('westernShooterBestReplay', null);
+    if (this.bestReplay && this.bestReplay.v !== REPLAY_VERSION) this.bestReplay = null;
+    this.seed = newSeed();
+    this.rng = new RNG(this.seed);
+    this.fx  = new RNG(this.seed ^ FX_SEED_SALT);
     this.audio = new AudioManager();
+    this.settings = loadSettings();
+    this.applyAudioSettings();
+    this.settingsFrom = 'intro';
+    // Per-run options, fixed at startGame() (and stored in replays)
+    this.runOpts = { difficulty: this.settings.difficulty, leftHanded: this.settings.leftHanded };
     this.civSpawnTimer = 0;
-    this.nextCivDelay = 14;
+    this.nextCivDelay = 0;
 
     this.hitFlash = 0; this.civFlash = 0;
-    this.waveBanner = 0; this.lastT = 0; this.time = 0;
+    this.waveBanner = 0; this.time = 0;
 
     this.dust = Array.from({ length: 22 }, () => ({
-      x: rand(0, W), y: rand(20, H * 0.7),
-      r: rand(0.8, 2), vy: rand(0.3, 0.8), vx: rand(-0.4, 0.4),
-      a: rand(0.04, 0.12),
+      x: this.fx.range(0, W), y: this.fx.range(20, H * 0.7),
+      r: this.fx.range(0.8, 2), vy: this.fx.range(0.3, 0.8), vx: this.fx.range(-0.4, 0.4),
+      a: this.fx.range(0.04, 0.12),
     }));
+  }
 
-    this.resize();
-    window.addEventListener('resize', () => this.resize());
-    this.setupInput();
-    requestAnimationFrame(t => this.loop(t));
+  // Switches stage between runs
+  setLevel(level) {
+    this.level = level;
+    this._initDestructibles();
+    this.chandelierAlive = !!level.chandelier;
+    this.civilians = [];
+  }
+
+  // Ready for the run to use: a level in memory by that id (Node reads it)
+  levelById(id) { return readLevel(id); }
+
+  startStage(id) {
+    if (id !== this.level.id) this.setLevel(this.levelById(id));
+    this.startGame();
   }
 
-  _initBottles() {
-    this.bottles = BOTTLE_POSITIONS.map((bx, i) => ({
-      x: bx, y: BOTTLE_SHELF_Y, alive: true,
+  // Best per-stage wave decides which stages are open (see STAGES_URL)
+  isUnlocked(stage) {
+    const u = stage.unlock;
+    if (!u) return true;
+    const rec = this.stats.records.stages[u.stage];
+    return !!rec && rec.wave >= u.wave;
+  }
+
+  _initDestructibles() {
+    const shelf = this.level ? this.level.bottles : { x: [] };
+    this.bottles = shelf.x.map((bx, i) => ({
+      x: bx, y: shelf.shelfY, alive: true,
       color: BOTTLE_COLORS[i % BOTTLE_COLORS.length],
     }));
+    this.props = (this.level ? this.level.props : []).map(p => ({ ...p, alive: true }));
   }
 
-  resize() {
-    const dpr = window.devicePixelRatio || 1;
-    const cw = window.innerWidth, ch = window.innerHeight;
-    this.scale = Math.min(cw / W, ch / H);
-    this.ox = (cw - W * this.scale) / 2;
-    this.oy = (ch - H * this.scale) / 2;
-    this.canvas.width = cw * dpr; this.canvas.height = ch * dpr;
-    this.canvas.style.width = cw + 'px';
-    this.canvas.style.height = ch + 'px';
-    this.dpr = dpr;
+  // ── Scripted input & inspection (headless runs) ────────────────────────────
+  aimAt(x, y) {
+    if (this.recorder && this.state === 'playing') this.recorder.event('aim', x, y);
+    this.aimX = clamp(x / W, 0, 1);
+    this.aimY = clamp(y / H, 0, 1);
+    this.crossX = x; this.crossY = y;
   }
-  toGame(cx, cy) {
-    return { x: (cx - this.ox) / this.scale, y: (cy - this.oy) / this.scale };
+
+  tap(x, y) { this.aimAt(x, y); this.onTap(x, y); }
+
+  step(dt = SIM_STEP) { this.update(dt); }
+
+  // Advance `duration` seconds in fixed steps, firing scripted taps
+  // ({ t, x, y } in game coordinates, t in seconds from now) on the way.
+  run(duration, { dt = SIM_STEP, taps = [] } = {}) {
+    const queue = taps.slice().sort((a, b) => a.t - b.t);
+    let t = 0, i = 0;
+    while (t < duration - 1e-9) {
+      while (i < queue.length && queue[i].t <= t) { this.tap(queue[i].x, queue[i].y); i++; }
+      this.step(dt);
+      t += dt;
+    }
+    return this.snapshot();
+  }
+
+  // ── Replay playback ───────────────────────────────────────────────────────
+  // Restarts the recorded run from its seed; drive it with stepReplay()
+  playReplay(log) {
+    if (!log || log.v !== REPLAY_VERSION) return false;
+    this.preReplay = { score: this.score, wave: this.wave, waveStats: this.waveStats, level: this.level };
+    const level = (log.opts && log.opts.level) || DEFAULT_LEVEL;
+    if (level !== this.level.id) this.setLevel(this.levelById(level));
+    this.replay = new ReplayPlayer(log);
+    this.startGame(log.seed, log.opts);
+    return true;
+  }
+
+  stepReplay() {
+    if (!this.replay) return false;
+    if (this.replay.step(this)) return true;
+    this.stopReplay();
+    return false;
+  }
+
+  // Leaves playback and returns to the game-over screen of the player's own run
+  stopReplay() {
+    if (!this.replay) return;
+    this.replay = null;
+    this.timers.clear();
+    this.audio.stopMusic();
+    if (this.preReplay) {
+      const { level, ...run } = this.preReplay;
+      Object.assign(this, run);
+      if (level !== this.level) this.setLevel(level);
+    }
+    this.state = 'gameover';
   }
 
-  setupInput() {
-    const handle = (cx, cy, tap) => {
-      const p = this.toGame(cx, cy);
-      this.aimX = clamp(p.x / W, 0, 1);
-      this.aimY = clamp(p.y / H, 0, 1);
-      this.crossX = p.x; this.crossY = p.y;
-      if (tap) this.onTap(p.x, p.y);
+  // Plain-data view of the run, safe to JSON.stringify or deep-compare
+  snapshot() {
+    return {
+      seed: this.seed, state: this.state, time: this.time,
+      score: this.score, lives: this.lives, bullets: this.bullets, reloading: this.reloading,
+      combo: this.combo, waveStats: this.waveStats.map(w => ({ ...w })),
+      wave: this.wave, waveSpawned: this.waveSpawned, waveKills: this.waveKills, waveEnemies: this.waveEnemies,
+      enemies: this.enemies.map(e => ({
+        slotId: e.slotId, state: e.state, hp: e.hp, maxHp: e.maxHp, boss: e.boss, visible: e.visible, hatOff: e.hatOff,
+        x: e.drawX, y: e.drawY,
+      })),
+      civilians: this.civilians.map(c => ({
+        type: c.type, subtype: c.subtype || null, civState: c.civState || null,
+        alive: c.alive, hitTimer: c.hitTimer, x: c.x, y: c.y,
+      })),
+      bottles: this.bottles.map(b => b.alive), props: this.props.map(p => p.alive),
+      chandelierAlive: this.chandelierAlive,
+      pendingTimers: this.timers.pending,
     };
-    this.canvas.addEventListener('touchstart', e => {
-      e.preventDefault();
-      this.audio.init(); this.audio.resume();
-      handle(e.changedTouches[0].clientX, e.changedTouches[0].clientY, true);
-    }, { passive: false });
-    this.canvas.addEventListener('touchmove', e => {
-      e.preventDefault();
-      handle(e.changedTouches[0].clientX, e.changedTouches[0].clientY, false);
-    }, { passive: false });
-    this.canvas.addEventListener('touchend', e => e.preventDefault(), { passive: false });
-    this.canvas.addEventListener('mousedown', e => {
-      this.audio.init(); this.audio.resume();
-      handle(e.clientX, e.clientY, true);
-    });
-    this.canvas.addEventListener('mousemove', e => handle(e.clientX, e.clientY, false));
   }
 
   onTap(x, y) {
+    if (this.state !== 'playing') this.audio.playClick();
     if (this.state === 'intro') {
-      if (inRect(x, y, W / 2 - 120, H / 2 + 80, 240, 54)) this.startGame();
+      if (inRect(x, y, W / 2 - 120, H / 2 + 80, 240, 54)) {
+        if (this.stages) this.state = 'stages'; else this.startGame();
+      }
+      if (inRect(x, y, W / 2 - 218, H / 2 + 142, 140, 44)) this.state = 'stats';
+      if (inRect(x, y, W / 2 - 70, H / 2 + 142, 140, 44)) this.state = 'achievements';
+      if (inRect(x, y, W / 2 + 78, H / 2 + 142, 140, 44)) this.openSettings();
+      return;
+    }
+    if (this.state === 'settings') { this.tapSettings(x, y); return; }
+    if (this.state === 'stages') {
+      if (inRect(x, y, W / 2 - 80, H - 78, 160, 46)) { this.state = 'intro'; return; }
+      this.stages.forEach((s, i) => {
+        if (!inRect(x, y, STAGE_CARD.x, stageCardY(i), STAGE_CARD.w, STAGE_CARD.h)) return;
+        if (this.isUnlocked(s)) this.startStage(s.id);
+      });
+      return;
+    }
+    if (this.state === 'stats' || this.state === 'achievements') {
+      if (inRect(x, y, W / 2 - 80, H - 78, 160, 46)) this.state = 'intro';
       return;
     }
     if (this.state === 'gameover') {
-      if (inRect(x, y, W / 2 - 100, H * 0.68, 200, 54)) this.startGame();
-      if (inRect(x, y, W / 2 - 80, H * 0.78, 160, 46)) this.exitGame();
+      if (inRect(x, y, W / 2 - 100, H * 0.64 - 26, 200, 52)) this.startGame();
+      if (this.bestReplay && inRect(x, y, W / 2 - 110, H * 0.72 - 22, 220, 44)) this.playReplay(this.bestReplay);
+      if (inRect(x, y, W / 2 - 80, H * 0.80 - 22, 160, 44)) this.exitGame();
       return;
     }
     if (this.state === 'paused') {
-      if (inRect(x, y, W / 2 - 90, H / 2 + 15, 180, 50)) { this.state = 'playing'; this.audio.startMusic(); }
-      if (inRect(x, y, W / 2 - 80, H / 2 + 81, 160, 46)) this.exitGame();
+      if (inRect(x, y, W / 2 - 90, H / 2 + 15, 180, 50)) this.resume();
+      if (inRect(x, y, W / 2 - 80, H / 2 + 77, 160, 46)) this.openSettings();
+      if (inRect(x, y, W / 2 - 80, H / 2 + 133, 160, 46)) this.exitGame();
       return;
     }
     if (this.state !== 'playing') return;
-    if (inRect(x, y, W - 44, 6, 38, 30)) { this.state = 'paused'; this.audio.stopMusic(); return; }
-    if (y > H - 100 && x < 110) { this.triggerReload(); return; }
+    if (inRect(x, y, W - 44, 6, 38, 30)) { this.pause(); return; }
+    if (this.recorder) this.recorder.event('tap', x, y);
+    if (y > H - 100 && (this.runOpts.leftHanded ? x > W - 110 : x < 110)) { this.triggerReload(); return; }
     if (this.reloading || this.bullets <= 0) { this.triggerReload(); return; }
     this.fireAt(x, y);
   }
 
-  startGame() {
+  get diff() { return DIFFICULTIES[this.runOpts.difficulty] || DIFFICULTIES.normal; }
+
+  // ── Settings ───────────────────────────────────────────────────────────────
+  openSettings() {
+    this.settingsFrom = this.state;
+    this.state = 'settings';
+  }
+
+  tapSettings(x, y) {
+    if (inRect(x, y, W / 2 - 80, H - 78, 160, 46)) { this.state = this.settingsFrom; return; }
+    SETTINGS_ROWS.forEach((row, i) => {
+      if (!inRect(x, y, SETTINGS_CTRL_X - 12, settingsRowY(i) - 22, SETTINGS_CTRL_W + 24, 44)) return;
+      const f = clamp((x - SETTINGS_CTRL_X) / SETTINGS_CTRL_W, 0, 1);
+      if (row.slider) this.setSetting(row.key, Math.round(f * 20) / 20);
+      else this.setSetting(row.key, row.options[Math.min(row.options.length - 1, Math.floor(f * row.options.length))][0]);
+    });
+  }
+
+  // Persists one setting and applies whatever can change mid-run
+  setSetting(key, value) {
+    this.settings[key] = value;
+    saveJSON(SETTINGS_KEY, this.settings);
+    if (['master', 'music', 'sfx', 'ambience', 'muted'].includes(key)) this.applyAudioSettings();
+    if (key === 'leftHanded' && this.runOpts.leftHanded !== value) {
+      this.runOpts.leftHanded = value;
+      if (this.recorder) this.recorder.event(value ? 'lefty' : 'righty');
+    }
+  }
+
+  // Menu clicks ride the UI bus at the effects volume
+  applyAudioSettings() {
+    const st = this.settings;
+    this.audio.setVolumes({ master: st.master, music: st.music, sfx: st.sfx, ui: st.sfx, ambience: st.ambience });
+    this.audio.setMuted(st.muted);
+  }
+
+  vibrate(pattern) {
+    if (this.settings.vibration && !this.replay && typeof navigator !== 'undefined' && navigator.vibrate) navigator.vibrate(pattern);
+  }
+
+  pause() {
+    if (this.state !== 'playing') return;
+    this.state = 'paused';
+    this.audio.stopMusic();
+    if (this.recorder) this.recorder.event('pause');
+  }
+
+  resume() {
+    if (this.state !== 'paused') return;
+    this.state = 'playing';
+    this.audio.playSong(this.waveSong(), true);
+    if (this.recorder) this.recorder.event('resume');
+  }
+
+  // Pass a seed (and the run options) to replay an exact run; omit them for a
+  // fresh random one with the current settings
+  startGame(seed, opts) {
+    this.seed = seed === undefined ? newSeed() : seed >>> 0;
+    this.runOpts = { difficulty: 'normal', leftHanded: false,
+      ...(opts || { difficulty: this.settings.difficulty, leftHanded: this.settings.leftHanded }), level: this.level.id };
+    this.recorder = this.replay ? null : new ReplayRecorder(this.seed, { ...this.runOpts });
+    this.rng.reseed(this.seed);
+    this.fx.reseed(this.seed ^ FX_SEED_SALT);
     this.state = 'playing';
     this.score = 0; this.lives = MAX_LIVES; this.bullets = MAX_BULLETS;
     this.reloading = false; this.reloadTimer = 0;
     this.wave = 1; this.waveSpawned = 0; this.waveKills = 0;
-    this.waveEnemies = 4; this.spawnTimer = 2; this.spawnInterval = 3.5;
-    this.enemies = []; this.particles = []; this.alerts = [];
+    this.combo = 0; this.waveStats = [{ wave: 1, shots: 0, hits: 0, bottles: 0 }];
+    this.runCounts = { kills: 0, headshots: 0, civiliansHit: 0, bottles: 0, chandeliers: 0 };
+    this.runStart = this.time; this.ending = false;
+    this.cylinderKills = 0; this.toasts = [];
+    const rules = this.level.waves;
+    this.waveEnemies = waveValue(rules.enemies, 1); this.spawnTimer = 2;
+    this.spawnInterval = waveValue(rules.spawnInterval, 1) * this.diff.spawn;
+    this.enemies = []; this.particles.clear(); this.alerts.clear(); this.holes.clear();
     this.hitFlash = 0; this.civFlash = 0; this.waveBanner = 0; this.recoilT = 0;
     this.door = new DoorPhysics();
-    this._initBottles();
-    this.chandelierAlive = true;
+    this.timers.clear();
+    this._initDestructibles();
+    this.chandelierAlive = !!this.level.chandelier;
     this.chandelierRespawn = 0;
     this.bottleRespawnTimer = 0;
     this.civSpawnTimer = 0;
-    this.nextCivDelay = 14;
+    this.nextCivDelay = this.level.civilians.roaming ? this.level.civilians.roaming.delay.start : 0;
     this.initCivilians();
-    this.audio.init(); this.audio.resume(); this.audio.startMusic();
+    this.audio.init(); this.audio.resume(); this.audio.playSong(this.waveSong(), true);
   }
 
   exitGame() {
-    this.audio.stopMusic();
+    // A run paused during its game-over delay was already recorded by endGame
+    if (this.state === 'paused' && !this.ending) this.recordRun('quit');
+    this.audio.playSong('intro', true);
     this.state = 'intro';
   }
 
   initCivilians() {
-    this.civilians = [
-      { type: 'pianist',   x: 42,  y: 430, alive: true, scared: 0, hitTimer: 0 },
-      { type: 'bartender', x: 360, y: 350, alive: true, scared: 0, hitTimer: 0 },
-      { type: 'patron',    x: 215, y: 440, alive: true, scared: 0, hitTimer: 0 },
-      { type: 'poker1',    x: 108, y: 460, alive: true, scared: 0, hitTimer: 0 },
-      { type: 'poker2',    x: 132, y: 460, alive: true, scared: 0, hitTimer: 0 },
-      { type: 'drinker',   x: 435, y: 358, alive: true, scared: 0, hitTimer: 0 },
-    ];
+    this.civilians = this.level.civilians.cast.map(c => ({ ...c, alive: true, scared: 0, hitTimer: 0 }));
+  }
+
+  // Effects come from the pools; `vx` undefined means the particle doesn't move
+  addParticle(type, x, y, t, vx, vy, color) {
+    const p = this.particles.spawn();
+    p.type = type; p.x = x; p.y = y; p.t = t; p.vx = vx; p.vy = vy; p.color = color;
+    p.rot = 0; p.spin = 0; p.outfit = 0; p.px = p.py = undefined;
+    // Shard size is picked here, once, so rendering never draws from `fx`
+    p.r = type === 'glass' ? this.fx.range(1.5, 3) : 0;
+    return p;
+  }
+
+  addAlert(text, x, y, t, color) {
+    const a = this.alerts.spawn();
+    a.text = text; a.x = x; a.y = y; a.t = t; a.color = color;
+  }
+
+  addHole(x, y) {
+    const h = this.holes.spawn();
+    h.x = x; h.y = y; h.t = 6;
   }
 
   triggerReload() {
@@ -684,173 +1760,353 @@ class WesternShooter {
 
     const gunTipX = W / 2 + (this.smoothAimX - 0.5) * GUN_PAN_X;
     const gunTipY = H - 170 + (this.smoothAimY - 0.5) * GUN_PAN_Y;
-    this.particles.push({ type: 'flash', x: gunTipX, y: gunTipY, t: 0.13 });
+    this.addParticle('flash', gunTipX, gunTipY, 0.13);
 
     for (const c of this.civilians) { if (c.alive && c.hitTimer <= 0) c.scared = 1.5; }
 
-    let hit = false;
+    const hit = this.resolveShot(x, y);
+    this.countShot(hit && hit.kind !== 'solid' && hit.kind !== 'civ');
+    if (!hit) this.addHole(x, y);
+    else if (hit.kind === 'enemy') this.damageEnemy(hit.e, x, y, hit.part);
+    else if (hit.kind === 'civ') this.hitCivilian(hit.c);
+    else if (hit.kind === 'bottle') this.breakBottle(hit.b);
+    else if (hit.kind === 'chandelier') this.dropChandelier();
+    else if (hit.kind === 'prop') this.breakProp(hit.p);
+    else this.hitScenery(x, y);
+    if (this.bullets === 0) this.timers.after(0.35, () => this.triggerReload());
+  }
 
-    // Check enemies
-    for (const e of this.enemies) {
-      if (!e.visible) continue;
-      const hb = enemyHB(e);
-      if (inRect(x, y, hb.x, hb.y, hb.w, hb.h)) { this.damageEnemy(e); hit = true; break; }
-    }
+  // ── Scoring ────────────────────────────────────────────────────────────────
+  get comboMult() { return Math.min(COMBO_MAX, 1 + Math.floor(this.combo / COMBO_STEP)); }
+
+  // Accuracy for the current wave; a hit extends the combo, anything else breaks it
+  countShot(hit) {
+    const ws = this.waveStats[this.waveStats.length - 1];
+    if (ws) { ws.shots++; if (hit) ws.hits++; }
+    if (hit) this.combo++; else this.breakCombo();
+  }
+
+  breakCombo() {
+    if (this.combo >= COMBO_STEP) this.addAlert('COMBO LOST', W / 2, 96, 0.9, '#CC8866');
+    this.combo = 0;
+  }
+
+  // Every positive point source goes through here so the combo applies to it
+  addScore(base) {
+    const pts = base * this.comboMult;
+    this.score += pts;
+    return pts;
+  }
+
+  accuracy(stats = this.waveStats) {
+    let shots = 0, hits = 0;
+    for (const w of stats) { shots += w.shots; hits += w.hits; }
+    return shots ? hits / shots : 0;
+  }
+
+  // Everything between the back wall and the gun, in draw order (back → front).
+  // drawGame() paints this list and resolveShot() walks it in reverse, so what
+  // you see on top is what you hit. Entries with `shapes` are solid cover.
+  sceneLayers() {
+    const L = [];
+    const enemies = pred => { for (const e of this.enemies) if (e.visible && pred(e)) L.push({ kind: 'enemy', e }); };
+    const civs = pred => { for (const c of this.civilians) if (pred(c)) L.push({ kind: 'civ', c }); };
+    const isDoorCiv = (c, mode) => c.type === 'doorCiv' && c.spawnMode === mode;
+    const walking = c => c.civState === 'entering' || c.civState === 'leaving';
+
+    // Balcony enemies + balcony civs → railing (or the street's rooftops)
+    const scenery = this.level.scenery;
+    enemies(e => e.posType === 'balcony');
+    civs(c => isDoorCiv(c, 'balcony'));
+    if (scenery.includes('rail')) L.push({ kind: 'rail', shapes: RAIL_SHAPES });
+    if (scenery.includes('parapet')) L.push({ kind: 'parapet', shapes: PARAPET_SHAPES });
 
-    // Check civilians
-    if (!hit) {
-      for (const c of this.civilians) {
-        if (!c.alive || c.hitTimer > 0) continue;
-        const hb = civHB(c);
-        if (inRect(x, y, hb.x, hb.y, hb.w, hb.h)) { this.hitCivilian(c); hit = true; break; }
+    // Doors FIRST, then entering enemies & door civs ON TOP
+    L.push({ kind: 'doors' });
+    enemies(e => e.state === 'entering');
+    civs(c => isDoorCiv(c, 'door') && walking(c));
+
+    // Window enemies + window civs → frames
+    enemies(e => e.posType === 'window' && e.state !== 'entering');
+    civs(c => isDoorCiv(c, 'window'));
+    L.push({ kind: 'windowFrames', shapes: this.level.windowShapes });
+
+    // Ground enemies → cover pieces, decorations, chairs, piano
+    enemies(e => e.posType === 'cover' && e.state !== 'entering');
+    for (const t of this.level.covers) L.push({ kind: 'cover', t, shapes: coverShapes(t) });
+    for (const t of this.level.decorations) L.push({ kind: 'cover', t, shapes: coverShapes(t) });
+    if (scenery.includes('chairs')) L.push({ kind: 'chairs' });
+    if (scenery.includes('piano')) L.push({ kind: 'piano', shapes: PIANO_SHAPES });
+
+    // Ground-idle civs (static + idle door civs)
+    civs(c => !(c.type === 'doorCiv' && (c.spawnMode === 'window' || c.spawnMode === 'balcony' || walking(c))));
+    return L;
+  }
+
+  // What a shot at (x, y) lands on: walk sceneLayers() front to back so
+  // whatever is drawn on top takes the bullet, then the back-wall targets.
+  resolveShot(x, y) {
+    const layers = this.sceneLayers();
+    for (let i = layers.length - 1; i >= 0; i--) {
+      const l = layers[i];
+      if (l.kind === 'enemy') {
+        if (l.e.state === 'dead') continue;
+        const part = hitPart(x, y, enemyShapes(l.e));
+        if (part) return { kind: 'enemy', e: l.e, part };
+      } else if (l.kind === 'civ') {
+        if (!l.c.alive || l.c.hitTimer > 0) continue;
+        if (hitPart(x, y, civShapes(l.c))) return { kind: 'civ', c: l.c };
+      } else if (l.shapes && hitPart(x, y, l.shapes)) {
+        return { kind: 'solid', layer: l.kind };
       }
     }
+    if (this.chandelierAlive && hitPart(x, y, this.level.chandelier.shapes)) return { kind: 'chandelier' };
+    for (const b of this.bottles) {
+      if (b.alive && inShape(x, y, bottleShape(b))) return { kind: 'bottle', b };
+    }
+    for (const p of this.props) {
+      if (p.alive && inShape(x, y, PROP_TYPES[p.type].shape(p))) return { kind: 'prop', p };
+    }
+    return null;
+  }
 
-    // Check bottles
-    if (!hit) {
-      for (const b of this.bottles) {
-        if (!b.alive) continue;
-        if (inRect(x, y, b.x - 2, b.y - 7, 14, 27)) {
-          b.alive = false;
-          b.respawnTimer = 15 + rand(0, 10);
-          this.audio.playGlassShatter();
-          // Glass debris particles
-          for (let i = 0; i < 8; i++) {
-            this.particles.push({
-              type: 'glass', x: b.x + 5, y: b.y + 8,
-              vx: rand(-3, 3), vy: rand(-4, -1), t: rand(0.4, 0.8),
-              color: b.color,
-            });
-          }
-          this.alerts.push({ text: '+10', x: b.x + 5, y: b.y - 10, t: 0.8, color: '#88CCFF' });
-          this.score += 10;
-          hit = true;
-          break;
-        }
-      }
+  // Furniture soaks up the bullet: leave a hole and kick up splinters
+  hitScenery(x, y) {
+    this.addHole(x, y);
+    for (let i = 0; i < 4; i++) {
+      const vx = this.fx.range(-90, 90), vy = this.fx.range(-180, -60);
+      this.addParticle('glass', x, y, this.fx.range(0.25, 0.5), vx, vy, '#8B5A2B');
     }
+  }
 
-    // Check chandelier
-    if (!hit && this.chandelierAlive) {
-      const chCx = W / 2, chCy = 36;
-      if (inRect(x, y, chCx - 22, chCy - 16, 44, 32)) {
-        this.chandelierAlive = false;
-        this.chandelierRespawn = 20 + rand(0, 10);
-        this.audio.playChandelierCrash();
-        // Metal & glass debris
-        for (let i = 0; i < 14; i++) {
-          this.particles.push({
-            type: 'glass', x: chCx + rand(-18, 18), y: chCy + rand(-8, 8),
-            vx: rand(-4, 4), vy: rand(-2, 3), t: rand(0.5, 1.2),
-            color: i % 2 ? '#DAA520' : '#FF8C00',
-          });
-        }
-        // Sparks
-        for (let i = 0; i < 6; i++) {
-          this.particles.push({
-            type: 'glass', x: chCx + rand(-10, 10), y: chCy,
-            vx: rand(-2, 2), vy: rand(-5, -2), t: rand(0.3, 0.6),
-            color: '#FFE080',
-          });
-        }
-        this.alerts.push({ text: '+20', x: chCx, y: chCy - 18, t: 1.0, color: '#FFD700' });
-        this.score += 20;
-        hit = true;
-      }
+  breakBottle(b) {
+    b.alive = false;
+    this.runCounts.bottles++;
+    // A bottle that respawns and breaks again in the same wave counts once
+    if (b.brokenWave !== this.wave) { b.brokenWave = this.wave; this.waveStats[this.waveStats.length - 1].bottles++; }
+    b.respawnTimer = 15 + this.rng.range(0, 10);
+    this.audio.playGlassShatter(b.x + 5, b.y + 8);
+    // Glass debris particles
+    for (let i = 0; i < 8; i++) {
+      const vx = this.fx.range(-180, 180), vy = this.fx.range(-240, -60);
+      this.addParticle('glass', b.x + 5, b.y + 8, this.fx.range(0.4, 0.8), vx, vy, b.color);
+    }
+    this.addAlert(`+${this.addScore(10)}`, b.x + 5, b.y - 10, 0.8, '#88CCFF');
+    this.emit('bottle', { b });
+  }
+
+  // Stage breakables count with the bottles in the run stats
+  breakProp(p) {
+    const type = PROP_TYPES[p.type];
+    p.alive = false;
+    this.runCounts.bottles++;
+    p.respawnTimer = this.rng.range(...type.respawn);
+    this.audio.playGlassShatter(p.x, p.y);
+    for (let i = 0; i < 10; i++) {
+      const vx = this.fx.range(-180, 180), vy = this.fx.range(-240, -40);
+      this.addParticle('glass', p.x, p.y, this.fx.range(0.4, 0.8), vx, vy, type.debris[i % type.debris.length]);
     }
+    this.addAlert(`+${this.addScore(type.points)}`, p.x, p.y - 16, 0.8, '#88CCFF');
+    this.emit('prop', { p });
+  }
 
-    if (!hit) this.particles.push({ type: 'hole', x, y, t: 6 });
-    if (this.bullets === 0) setTimeout(() => this.triggerReload(), 350);
+  dropChandelier() {
+    const { x: chCx, y: chCy } = this.level.chandelier;
+    this.chandelierAlive = false;
+    this.runCounts.chandeliers++;
+    this.chandelierRespawn = 20 + this.rng.range(0, 10);
+    this.audio.playChandelierCrash(chCx, chCy);
+    // Metal & glass debris
+    for (let i = 0; i < 14; i++) {
+      const x = chCx + this.fx.range(-18, 18), y = chCy + this.fx.range(-8, 8);
+      const vx = this.fx.range(-240, 240), vy = this.fx.range(-120, 180);
+      this.addParticle('glass', x, y, this.fx.range(0.5, 1.2), vx, vy, i % 2 ? '#DAA520' : '#FF8C00');
+    }
+    // Sparks
+    for (let i = 0; i < 6; i++) {
+      const x = chCx + this.fx.range(-10, 10);
+      const vx = this.fx.range(-120, 120), vy = this.fx.range(-300, -120);
+      this.addParticle('glass', x, chCy, this.fx.range(0.3, 0.6), vx, vy, '#FFE080');
+    }
+    this.addAlert(`+${this.addScore(20)}`, chCx, chCy - 18, 1.0, '#FFD700');
+    this.emit('chandelier');
   }
 
   hitCivilian(c) {
     c.hitTimer = 2.5; c.scared = 2.5;
     this.score = Math.max(0, this.score - CIV_PENALTY);
+    this.breakCombo();
+    this.runCounts.civiliansHit++;
+    this.vibrate([60, 40, 60]);
     this.lives = Math.max(0, this.lives - 1);
     this.civFlash = 0.6;
-    this.alerts.push({ text: `INNOCENT! -${CIV_PENALTY}`, x: c.x, y: c.y - 55, t: 2, color: '#FF4444' });
-    if (this.lives === 0) this.endGame();
+    this.addAlert(`INNOCENT! -${CIV_PENALTY}`, c.x, c.y - 55, 2, '#FF4444');
+    if (this.lives === 0) this.endGame('civilian');
   }
 
-  damageEnemy(e) {
-    e.hp--;
-    const hb = enemyHB(e);
-    const cx = hb.x + hb.w / 2, cy = hb.y + hb.h / 2;
+  // `part` comes from enemyShapes(): hat = style bonus, head = instant kill,
+  // anything else costs one HP.
+  damageEnemy(e, cx, cy, part) {
+    if (part === 'hat') { this.knockHatOff(e, cx, cy); return; }
+    const headshot = part === 'head';
+    e.hp = headshot ? 0 : e.hp - 1;
     for (let i = 0; i < 6; i++) {
-      this.particles.push({ type: 'blood', x: cx, y: cy, vx: rand(-2.5, 2.5), vy: rand(-3, -0.5), t: rand(0.3, 0.65) });
+      const vx = this.fx.range(-150, 150), vy = this.fx.range(-180, -30);
+      this.addParticle('blood', cx, cy, this.fx.range(0.3, 0.65), vx, vy);
     }
-    this.particles.push({ type: 'hit', x: cx, y: cy, t: 0.2 });
+    this.addParticle('hit', cx, cy, 0.2);
     if (e.hp <= 0) {
       e.state = 'dead'; e.visible = true; e.deadT = 0.7;
-      const pts = 100 * this.wave;
-      this.score += pts;
-      this.alerts.push({ text: `+${pts}`, x: cx, y: cy - 28, t: 1, color: '#FFD700' });
+      this.runCounts.kills++;
+      if (headshot) this.runCounts.headshots++;
+      this.cylinderKills++;
+      this.emit('kill', { e, headshot });
+      const pts = this.addScore(100 * this.wave * (headshot ? HEADSHOT_MULT : 1));
+      if (headshot) this.addAlert('HEADSHOT!', cx, cy - 48, 1.2, '#FF5533');
+      this.addAlert(`+${pts}`, cx, cy - 28, 1, '#FFD700');
       this.waveKills++;
-      if (this.waveKills >= this.waveEnemies) setTimeout(() => this.advanceWave(), 2000);
+      if (this.waveKills >= this.waveEnemies) this.timers.after(2, () => this.advanceWave());
     } else {
       e.state = 'retreating'; e.retreatT = 0.45;
-      setTimeout(() => { if (e.state !== 'dead') { e.state = 'hiding'; e.hideT = rand(1, 2.5); e.visible = false; } }, 460);
+      this.timers.after(0.46, () => { if (e.state !== 'dead') { e.state = 'hiding'; e.hideT = this.rng.range(1, 2.5); e.visible = false; } });
     }
   }
 
+  knockHatOff(e, cx, cy) {
+    e.hatOff = true;
+    const dir = cx < e.drawX ? 1 : -1;
+    const vx = dir * this.fx.range(90, 160), vy = this.fx.range(-330, -240);
+    const hat = this.addParticle('hat', e.drawX, e.drawY - 26, 1.1, vx, vy);
+    hat.outfit = e.outfit; hat.spin = dir * this.fx.range(8, 12);
+    this.addAlert(`HAT TRICK! +${this.addScore(HAT_BONUS)}`, e.drawX, e.drawY - 48, 1.1, '#88CCFF');
+  }
+
   enemyShoot(e) {
     if (e.state === 'dead') return;
     e.state = 'shooting'; e.shootT = 0.4;
-    this.audio.playEnemyShot();
-    this.particles.push({ type: 'eflash', x: e.drawX - 18, y: e.drawY + 6, t: 0.13 });
-    setTimeout(() => { if (e.state !== 'dead') this.takeDamage(); }, 250);
-    setTimeout(() => { if (e.state !== 'dead') { e.state = 'hiding'; e.hideT = rand(0.8, 2); e.visible = false; } }, 700);
+    this.audio.playEnemyShot(e.drawX, e.drawY);
+    this.addParticle('eflash', e.drawX - 18, e.drawY + 6, 0.13);
+    this.timers.after(0.25, () => { if (e.state !== 'dead') this.takeDamage(); });
+    this.timers.after(0.7, () => { if (e.state !== 'dead') { e.state = 'hiding'; e.hideT = this.rng.range(0.8, 2); e.visible = false; } });
   }
 
   takeDamage() {
     if (this.state !== 'playing') return;
     this.lives = Math.max(0, this.lives - 1);
     this.hitFlash = 0.55;
-    if (this.lives === 0) this.endGame();
+    this.breakCombo();
+    this.vibrate(90);
+    this.audio.duck(0.3, 0.6);
+    if (this.lives === 0) this.endGame('outlaw');
   }
 
-  endGame() {
+  // `cause` is what ended the run: 'outlaw' or 'civilian'
+  endGame(cause) {
+    // Only the first fatal hit ends the run; later ones land during the fade-out
+    if (this.ending) return;
+    this.ending = true;
+    const newBest = this.score > this.bestScore && this.recorder;
     this.bestScore = Math.max(this.bestScore, this.score);
     try { localStorage.setItem('westernShooterBest', String(this.bestScore)); } catch (_) {}
-    this.audio.stopMusic();
-    setTimeout(() => { this.state = 'gameover'; }, 500);
+    this.recordRun(cause);
+    this.audio.playSong('dirge', true);
+    this.timers.after(0.5, () => {
+      this.state = 'gameover';
+      if (newBest) {
+        this.bestReplay = this.recorder.log;
+        saveJSON('westernShooterBestReplay', this.bestReplay);
+      }
+      this.recorder = null;
+    });
+  }
+
+  runSummary(cause) {
+    let shots = 0, hits = 0;
+    for (const w of this.waveStats) { shots += w.shots; hits += w.hits; }
+    return {
+      date: Date.now(), seed: this.seed, difficulty: this.runOpts.difficulty, stage: this.level.id,
+      score: this.score, wave: this.wave,
+      shots, hits, accuracy: shots ? hits / shots : 0,
+      ...this.runCounts,
+      time: Math.round((this.time - this.runStart) * 10) / 10,
+      cause,
+    };
+  }
+
+  // Game events that achievements listen for
+  emit(event, data = {}) {
+    if (this.replay) return;
+    for (const a of ACHIEVEMENTS) {
+      if (a.on !== event || this.achievements.has(a.id) || !a.test(this, data)) continue;
+      this.achievements.unlock(a.id);
+      this.toasts.push({ a, t: 3 });
+    }
   }
 
+  // Replays are re-runs of an already recorded game, so they don't count
+  recordRun(cause) {
+    if (this.replay) return;
+    this.stats.record(this.runSummary(cause));
+  }
+
+  // In-game tune for the current wave
+  waveSong() { return IN_GAME_SONGS[(this.wave - 1) % IN_GAME_SONGS.length]; }
+
   advanceWave() {
-    if (this.state !== 'playing') return;
+    // A run that is already ending keeps its pending game-over transition
+    if (this.state !== 'playing' || this.lives === 0) return;
+    this.emit('waveClear', { wave: this.wave });
+    this.audio.queueStinger('fanfare');
+    this.timers.clear();
     this.wave++;
+    this.audio.playSong(this.waveSong());
+    this.waveStats.push({ wave: this.wave, shots: 0, hits: 0, bottles: 0 });
     this.waveSpawned = 0; this.waveKills = 0;
-    this.waveEnemies = 4 + this.wave;
-    this.spawnInterval = Math.max(1.6, 3.5 - this.wave * 0.18);
+    const rules = this.level.waves;
+    this.waveEnemies = waveValue(rules.enemies, this.wave);
+    this.spawnInterval = waveValue(rules.spawnInterval, this.wave) * this.diff.spawn;
     this.spawnTimer = 1.8; this.waveBanner = 2.5;
     this.enemies = [];
     this.civilians = this.civilians.filter(c => c.type !== 'doorCiv');
     for (const c of this.civilians) { c.scared = 0; c.hitTimer = 0; }
     // Reset bottles each wave
-    this._initBottles();
+    this._initDestructibles();
   }
 
   spawnEnemy() {
     const used = new Set(this.enemies.filter(e => e.state !== 'dead').map(e => e.slotId));
-    const avail = SPAWN_SLOTS.filter(s => s.minWave <= this.wave && !used.has(s.id));
+    const avail = this.level.slots.filter(s => s.minWave <= this.wave && !used.has(s.id));
     if (!avail.length) return;
-    const slot = avail[Math.floor(Math.random() * avail.length)];
-    const isGround = slot.type === 'cover';
-    if (isGround) { this.door.push(8); this.audio.playDoorCreak(); }
+    const slot = this.rng.pick(avail);
+    const hp = this.pickByWave(this.level.waves.hp, 1);
+    this.addEnemy(slot, hp, this.rng.int(OUTFITS.length));
+  }
 
-    let hp = 1;
-    if (this.wave >= 5 && this.wave < 9) hp = Math.random() < 0.45 ? 2 : 1;
-    else if (this.wave >= 9) { const r = Math.random(); hp = r < 0.2 ? 3 : r < 0.7 ? 2 : 1; }
+  // Level wave tables: the last tier `wave` has reached draws one of its
+  // [value, odds] pairs; before the first tier it is `fallback`, with no draw
+  pickByWave(tiers, fallback) {
+    let tier = null;
+    for (const t of tiers || []) if (t.fromWave <= this.wave) tier = t;
+    if (!tier) return fallback;
+    let r = this.rng.next();
+    for (const [value, odds] of tier.odds) { if (r < odds) return value; r -= odds; }
+    return tier.odds[tier.odds.length - 1][0];
+  }
 
+  // Puts an outlaw in `slot`: ground slots walk in through the doors, the
+  // others pop up in place. Also the debug spawner's entry point.
+  addEnemy(slot, hp, outfit) {
+    const isGround = slot.type === 'cover', door = this.level.door;
+    if (isGround) { this.door.push(8); this.audio.playDoorCreak(door.x, door.panelTop); }
     this.enemies.push({
       slotId: slot.id, slot, posType: slot.type,
-      hp, maxHp: hp,
-      outfit: Math.floor(Math.random() * OUTFITS.length),
+      hp, maxHp: hp, boss: hp >= BOSS_HP,
+      outfit,
       state: isGround ? 'entering' : 'appearing',
       visible: true,
-      drawX: isGround ? DOOR_CX : slot.x,
-      drawY: isGround ? DOOR_BOT - 30 : slot.peekY,
-      peekY: slot.peekY,
+      drawX: isGround ? door.x : slot.x,
+      drawY: isGround ? door.enterY : slot.peekY,
+      peekY: slot.peekY, hatOff: false,
       walkFrame: 0, walkT: 0, appearT: 0.6,
       hideT: 0, warnT: 0, peekT: 0,
       retreatT: 0, deadT: 0, shootT: 0,
@@ -860,49 +2116,41 @@ class WesternShooter {
 
   // ── Roaming civilian helpers ────────────────────────────────────────────────
   _spawnRoamingCiv() {
-    this.civSpawnTimer = this.nextCivDelay + rand(0, 5);
-    this.nextCivDelay = Math.max(6, this.nextCivDelay - 0.5);
-    const types = ['cowgirl', 'oldman', 'townsfolk'];
-    const subtype = types[Math.floor(Math.random() * types.length)];
-
-    // Determine spawn mode based on wave
-    let mode = 'door';
-    if (this.wave >= 7) {
-      const r = Math.random();
-      if (r < 0.25) mode = 'balcony';
-      else if (r < 0.50) mode = 'window';
-      else mode = 'door';
-    } else if (this.wave >= 4) {
-      mode = Math.random() < 0.35 ? 'window' : 'door';
-    }
+    const roam = this.level.civilians.roaming, delay = roam.delay;
+    this.civSpawnTimer = this.nextCivDelay + this.rng.range(0, delay.jitter);
+    this.nextCivDelay = Math.max(delay.min, this.nextCivDelay - delay.step);
+    const subtype = this.rng.pick(roam.subtypes);
+
+    // Spawn mode by wave: the level's `modes` tiers, else through the door
+    const mode = this.pickByWave(roam.modes, 'door');
 
     if (mode === 'door') {
-      const goLeft = Math.random() < 0.5;
-      this.door.push(6); this.audio.playDoorCreak();
+      const goLeft = this.rng.chance(0.5), door = this.level.door, floor = roam.floor;
+      this.door.push(6); this.audio.playDoorCreak(door.x, door.panelTop);
       this.civilians.push({
         type: 'doorCiv', subtype, spawnMode: 'door',
-        x: DOOR_CX, y: DOOR_BOT - 30,
-        targetX: goLeft ? rand(100, 190) : rand(320, 420),
-        targetY: 442,
+        x: door.x, y: door.enterY,
+        targetX: this.rng.range(...(goLeft ? floor.left : floor.right)),
+        targetY: floor.y,
         alive: true, scared: 0, hitTimer: 0,
         civState: 'entering', walkFrame: 0, walkT: 0, stayTimer: 0,
       });
     } else if (mode === 'window') {
-      const win = WINDOWS[Math.floor(Math.random() * WINDOWS.length)];
+      const win = this.rng.pick(this.level.windows);
       this.civilians.push({
         type: 'doorCiv', subtype, spawnMode: 'window',
         x: win.x, y: win.y + 5,
         alive: true, scared: 0, hitTimer: 0,
-        civState: 'appearing', appearT: 0.5, stayTimer: rand(4, 8),
+        civState: 'appearing', appearT: 0.5, stayTimer: this.rng.range(4, 8),
         drawAlpha: 0,
       });
     } else {
-      const bx = [120, 240, 360][Math.floor(Math.random() * 3)];
+      const slot = this.rng.pick(this.level.slots.filter(s => s.type === 'balcony'));
       this.civilians.push({
         type: 'doorCiv', subtype, spawnMode: 'balcony',
-        x: bx, y: 78,
+        x: slot.x, y: slot.peekY + 10,
         alive: true, scared: 0, hitTimer: 0,
-        civState: 'appearing', appearT: 0.5, stayTimer: rand(4, 8),
+        civState: 'appearing', appearT: 0.5, stayTimer: this.rng.range(4, 8),
         drawAlpha: 0,
       });
     }
@@ -912,10 +2160,10 @@ class WesternShooter {
     const spd = 70 * dt;
     if (c.spawnMode === 'door') {
       if (c.civState === 'entering') {
-        const dx = c.targetX - c.x, dy = (c.targetY || 442) - c.y;
+        const dx = c.targetX - c.x, dy = c.targetY - c.y;
         if (Math.abs(dx) < spd && Math.abs(dy) < spd) {
-          c.x = c.targetX; c.y = c.targetY || 442;
-          c.civState = 'idle'; c.stayTimer = rand(6, 12);
+          c.x = c.targetX; c.y = c.targetY;
+          c.civState = 'idle'; c.stayTimer = this.rng.range(6, 12);
         } else {
           c.x += Math.sign(dx) * Math.min(spd, Math.abs(dx));
           c.y += Math.sign(dy) * Math.min(spd * 0.7, Math.abs(dy));
@@ -923,9 +2171,9 @@ class WesternShooter {
         }
       } else if (c.civState === 'idle') {
         c.stayTimer -= dt;
-        if (c.stayTimer <= 0) { c.civState = 'leaving'; c.targetX = DOOR_CX; c.targetY = DOOR_BOT - 30; }
+        if (c.stayTimer <= 0) { c.civState = 'leaving'; c.targetX = this.level.door.x; c.targetY = this.level.door.enterY; }
       } else if (c.civState === 'leaving') {
-        const dx = DOOR_CX - c.x, dy = (DOOR_BOT - 30) - c.y;
+        const dx = c.targetX - c.x, dy = c.targetY - c.y;
         if (Math.abs(dx) < spd && Math.abs(dy) < spd) { c.alive = false; this.door.push(4); }
         else {
           c.x += Math.sign(dx) * Math.min(spd, Math.abs(dx));
@@ -952,17 +2200,23 @@ class WesternShooter {
   }
 
   // ─── UPDATE ─────────────────────────────────────────────────────────────────
-  loop(t) {
-    const dt = Math.min((t - this.lastT) / 1000, 0.05);
-    this.lastT = t;
-    this.update(dt);
-    this.render();
-    requestAnimationFrame(ts => this.loop(ts));
+  // Remember positions from before this step so the renderer can interpolate
+  storePrev() {
+    this.prevAimX = this.smoothAimX; this.prevAimY = this.smoothAimY;
+    this.prevRecoil = this.recoilT;
+    for (const e of this.enemies) { e.prevX = e.drawX; e.prevY = e.drawY; }
+    for (const c of this.civilians) { c.prevX = c.x; c.prevY = c.y; }
+    const ps = this.particles.items;
+    for (let i = 0; i < this.particles.count; i++) { ps[i].px = ps[i].x; ps[i].py = ps[i].y; }
+    for (const d of this.dust) { d.px = d.x; d.py = d.y; }
   }
 
   update(dt) {
     if (this.state !== 'playing') return;
+    if (this.recorder) this.recorder.tick(dt);
+    this.storePrev();
     this.time += dt;
+    this.timers.update(dt);
     this.smoothAimX = lerp(this.smoothAimX, this.aimX, Math.min(1, dt * GUN_AIM_LERP));
     this.smoothAimY = lerp(this.smoothAimY, this.aimY, Math.min(1, dt * GUN_AIM_LERP));
     this.door.update(dt);
@@ -972,43 +2226,54 @@ class WesternShooter {
     if (this.recoilT > 0) this.recoilT = Math.max(0, this.recoilT - dt);
     if (this.reloading) {
       this.reloadTimer -= dt;
-      if (this.reloadTimer <= 0) { this.reloading = false; this.reloadTimer = 0; this.bullets = MAX_BULLETS; }
+      if (this.reloadTimer <= 0) { this.reloading = false; this.reloadTimer = 0; this.bullets = MAX_BULLETS; this.cylinderKills = 0; }
     }
     for (const d of this.dust) {
       d.x += d.vx * dt * 25; d.y -= d.vy * dt * 15;
-      if (d.y < -5) { d.y = H * 0.7 + rand(0, 40); d.x = rand(0, W); }
-      if (d.x < 0) d.x = W; if (d.x > W) d.x = 0;
+      if (d.y < -5) { d.y = H * 0.7 + this.fx.range(0, 40); d.x = this.fx.range(0, W); d.px = d.x; d.py = d.y; }
+      if (d.x < 0) d.x = d.px = W; if (d.x > W) d.x = d.px = 0;
     }
-    for (const a of this.alerts) { a.t -= dt; a.y -= dt * 28; }
-    this.alerts = this.alerts.filter(a => a.t > 0);
+    const as = this.alerts.items;
+    for (let i = 0; i < this.alerts.count; i++) { as[i].t -= dt; as[i].y -= dt * 28; }
+    this.alerts.sweep(alive);
+    if (this.toasts.length && (this.toasts[0].t -= dt) <= 0) this.toasts.shift();
     for (const c of this.civilians) {
       if (c.scared > 0) c.scared = Math.max(0, c.scared - dt);
       if (c.hitTimer > 0) c.hitTimer = Math.max(0, c.hitTimer - dt);
       if (c.type === 'doorCiv') this._updateDoorCiv(c, dt);
     }
     this.civilians = this.civilians.filter(c => c.alive || c.hitTimer > 0);
-    // Spawn roaming civilians starting wave 2
-    if (this.wave >= 2) {
+    // Roaming civilians from the level's `fromWave`
+    const roam = this.level.civilians.roaming;
+    if (roam && this.wave >= roam.fromWave) {
       this.civSpawnTimer -= dt;
       if (this.civSpawnTimer <= 0) {
         this._spawnRoamingCiv();
       }
     }
     const active = this.enemies.filter(e => e.state !== 'dead').length;
-    const maxActive = clamp(2 + Math.floor(this.wave * 0.45), 1, 5);
+    const maxActive = waveValue(this.level.waves.maxActive, this.wave, Math.floor);
+    this.audio.setIntensity(active / maxActive);
+    this.audio.setTense(this.lives === 1);
     if (active < maxActive && this.waveSpawned < this.waveEnemies) {
       this.spawnTimer -= dt;
-      if (this.spawnTimer <= 0) { this.spawnTimer = this.spawnInterval + rand(0, 0.8); this.spawnEnemy(); }
+      if (this.spawnTimer <= 0) { this.spawnTimer = this.spawnInterval + this.rng.range(0, 0.8); this.spawnEnemy(); }
     }
     this.enemies.forEach(e => this.updateEnemy(e, dt));
     this.enemies = this.enemies.filter(e => !(e.state === 'dead' && e.deadT <= 0));
-    this.particles.forEach(p => {
+    const ps = this.particles.items;
+    for (let i = 0; i < this.particles.count; i++) {
+      const p = ps[i];
       p.t -= dt;
-      if (p.vx !== undefined) { p.x += p.vx; p.y += p.vy; p.vy += 0.18; }
-    });
-    this.particles = this.particles.filter(p => p.t > 0);
-    // Respawn bottles
-    for (const b of this.bottles) {
+      if (p.vx !== undefined) { p.x += p.vx * dt; p.y += p.vy * dt; p.vy += PARTICLE_GRAVITY * dt; }
+      if (p.spin) p.rot += p.spin * dt;
+    }
+    this.particles.sweep(alive);
+    const hs = this.holes.items;
+    for (let i = 0; i < this.holes.count; i++) hs[i].t -= dt;
+    this.holes.sweep(alive);
+    // Respawn bottles and props
+    for (const b of [...this.bottles, ...this.props]) {
       if (!b.alive && b.respawnTimer !== undefined) {
         b.respawnTimer -= dt;
         if (b.respawnTimer <= 0) { b.alive = true; b.respawnTimer = undefined; }
@@ -1030,22 +2295,22 @@ class WesternShooter {
         const dx = e.slot.x - e.drawX, dy = e.slot.peekY - e.drawY;
         if (Math.abs(dx) < spd && Math.abs(dy) < spd) {
           e.drawX = e.slot.x; e.drawY = e.slot.peekY;
-          e.state = 'hiding'; e.hideT = rand(0.5, 1.4); e.visible = false;
+          e.state = 'hiding'; e.hideT = this.rng.range(0.5, 1.4); e.visible = false;
         } else {
           e.drawX += Math.sign(dx) * Math.min(spd, Math.abs(dx));
           e.drawY += Math.sign(dy) * Math.min(spd * 0.5, Math.abs(dy));
         }
         break;
       }
-      case 'appearing': e.appearT -= dt; if (e.appearT <= 0) { e.state = 'hiding'; e.hideT = rand(0.3, 0.9); e.visible = false; } break;
+      case 'appearing': e.appearT -= dt; if (e.appearT <= 0) { e.state = 'hiding'; e.hideT = this.rng.range(0.3, 0.9); e.visible = false; } break;
       case 'hiding':
         e.hideT -= dt;
-        if (e.hideT <= 0) { e.state = 'warning'; e.warnT = rand(0.5, 1.0); e.visible = true; e.drawY = e.peekY + (e.posType === 'cover' ? 28 : 16); }
+        if (e.hideT <= 0) { e.state = 'warning'; e.warnT = this.rng.range(0.5, 1.0) * this.diff.react; e.visible = true; e.drawY = e.peekY + (e.posType === 'cover' ? 28 : 16); }
         break;
       case 'warning':
         e.warnT -= dt;
         e.drawY = e.peekY + (e.posType === 'cover' ? 26 : 14) + Math.sin(this.time * 13) * 4;
-        if (e.warnT <= 0) { e.state = 'peeking'; e.peekT = rand(0.9, 1.6); e.drawY = e.peekY; }
+        if (e.warnT <= 0) { e.state = 'peeking'; e.peekT = this.rng.range(0.9, 1.6) * this.diff.react; e.drawY = e.peekY; }
         break;
       case 'peeking': e.peekT -= dt; if (e.peekT <= 0) this.enemyShoot(e); break;
       case 'shooting': e.shootT -= dt; break;
@@ -1053,6 +2318,525 @@ class WesternShooter {
       case 'dead': e.deadT -= dt; e.drawY += dt * 50; break;
     }
   }
+}
+
+// ─── SPRITES ──────────────────────────────────────────────────────────────────
+// Optional atlases replace the procedural character drawers one sprite at a
+// time. sprites/atlas.json:
+//   { "version": 1,
+//     "atlases": { "cast": { "image": "cast.png", "frames": { "outlaw_walk0": [x, y, w, h], … } } },
+//     "sprites": { "outlaw": { "atlas": "cast", "anchor": [32, 60], "scale": 1,
+//                  "clips": { "walk": { "frames": ["outlaw_walk0", "outlaw_walk1"], "fps": 7 }, … } } } }
+// `anchor` is the frame pixel drawn at the character's position — the same
+// point its hit shapes hang off (see HIT SHAPES); a frame may override it with
+// a 5th and 6th entry. Default anchor: bottom centre. Clips loop unless
+// "loop": false.
+//   Sprite ids  outlaw (or outlaw0–outlaw4, one per OUTFITS entry), pianist,
+//               bartender, patron, poker1, poker2, drinker, doorCiv, gun
+//   Clips       outlaws: walk, peek, shoot, flee, die — plus e.g. 'peekBare'
+//               once the hat is shot off; civilians: idle, walk, peek, flee;
+//               gun: idle, shoot, reload
+// A missing clip falls back to 'idle'; a missing sprite to the procedural drawer.
+const SPRITE_MANIFEST_URL = 'sprites/atlas.json';
+
+const OUTLAW_CLIPS = {
+  entering: 'walk', appearing: 'peek', warning: 'peek', peeking: 'peek',
+  shooting: 'shoot', retreating: 'flee', dead: 'die',
+};
+
+class SpriteAtlas {
+  constructor() {
+    this.sprites = {};            // id → manifest entry, once its image has loaded
+    this.clocks = new WeakMap();  // owner → { clip, start }: when its current clip began
+  }
+
+  load(url) {
+    const base = url.slice(0, url.lastIndexOf('/') + 1);
+    loadAsset(url, 'json', manifest => {
+      for (const [name, atlas] of Object.entries(manifest.atlases || {})) {
+        const img = new Image();
+        img.onload = () => {
+          for (const [id, s] of Object.entries(manifest.sprites || {})) {
+            if (s.atlas === name) this.sprites[id] = { ...s, img, frames: atlas.frames || {} };
+          }
+        };
+        img.src = base + atlas.image;
+      }
+    });
+  }
+
+  has(id) { return !!this.sprites[id]; }
+
+  // Draws the first available of `clips` from the first loaded sprite in
+  // `ids`, anchored at (x, y). Returns false, drawing nothing, when no sprite
+  // applies. `owner` keys the clip clock, so an animation restarts whenever
+  // its owner switches clip.
+  draw(ctx, ids, owner, clips, x, y, now) {
+    for (const id of [].concat(ids)) {
+      const s = this.sprites[id];
+      if (!s) continue;
+      const name = [].concat(clips, 'idle').find(c => s.clips && s.clips[c]);
+      if (!name) return false;
+      const clip = s.clips[name];
+      let clock = this.clocks.get(owner);
+      if (!clock || clock.clip !== name) this.clocks.set(owner, clock = { clip: name, start: now });
+      const i = Math.floor((now - clock.start) * (clip.fps || 8)), n = clip.frames.length;
+      const f = s.frames[clip.frames[clip.loop === false ? Math.min(i, n - 1) : i % n]];
+      if (!f) return false;
+      const sc = s.scale || 1;
+      const ax = f.length > 4 ? f[4] : s.anchor ? s.anchor[0] : f[2] / 2;
+      const ay = f.length > 4 ? f[5] : s.anchor ? s.anchor[1] : f[3];
+      ctx.drawImage(s.img, f[0], f[1], f[2], f[3], x - ax * sc, y - ay * sc, f[2] * sc, f[3] * sc);
+      return true;
+    }
+    return false;
+  }
+}
+
+// ─── PROFILER ─────────────────────────────────────────────────────────────────
+// Frame-budget recorder behind the perf overlay (`?perf`, or a three-finger
+// tap). Each metric keeps the last PERF_HISTORY frames, in milliseconds.
+const PERF_HISTORY  = 600;   // 10 s at 60 fps
+const PERF_SECTIONS = ['drawScene', 'drawParticles', 'drawFPSGun', 'drawHUD'];
+const PERF_PANEL    = { x: 8, y: 96, w: 212, h: 178 };
+const PERF_BUDGET   = 1000 / 60;
+const PERF_REFRESH  = 250;     // ms between overlay figure updates
+
+class FrameProfiler {
+  constructor() {
+    this.metrics = ['frame', 'update', 'render', ...PERF_SECTIONS];
+    this.rings = {};
+    for (const m of this.metrics) this.rings[m] = new Float32Array(PERF_HISTORY);
+    this.cur = {}; this.starts = {};
+    this.head = 0; this.filled = 0;
+    this.started = Date.now();
+  }
+
+  // Replaces `obj`'s PERF_SECTIONS methods with timed wrappers; a section
+  // drawn several times in one frame adds up
+  instrument(obj) {
+    for (const name of PERF_SECTIONS) {
+      const fn = obj[name];
+      obj[name] = (...args) => { this.begin(name); try { return fn.apply(obj, args); } finally { this.end(name); } };
+    }
+  }
+
+  begin(name) { this.starts[name] = performance.now(); }
+  end(name) { this.cur[name] = (this.cur[name] || 0) + performance.now() - this.starts[name]; }
+
+  // Closes a frame that took `frameMs` from the previous one
+  commit(frameMs) {
+    this.cur.frame = frameMs;
+    for (const m of this.metrics) this.rings[m][this.head] = this.cur[m] || 0;
+    this.head = (this.head + 1) % PERF_HISTORY;
+    this.filled = Math.min(this.filled + 1, PERF_HISTORY);
+    this.cur = {};
+  }
+
+  // Oldest-first copy of one metric
+  series(m) {
+    const ring = this.rings[m], out = [];
+    for (let i = 0; i < this.filled; i++) out.push(ring[(this.head - this.filled + i + PERF_HISTORY) % PERF_HISTORY]);
+    return out;
+  }
+
+  stats(m) {
+    const v = this.series(m).sort((a, b) => a - b), n = v.length;
+    if (!n) return { avg: 0, p50: 0, p95: 0, max: 0 };
+    const pick = q => v[Math.min(n - 1, Math.floor(q * n))];
+    const r = x => Math.round(x * 100) / 100;
+    return { avg: r(v.reduce((a, b) => a + b, 0) / n), p50: r(pick(0.5)), p95: r(pick(0.95)), max: r(v[n - 1]) };
+  }
+
+  fps(frame = this.stats('frame')) {
+    return frame.avg ? 1000 / frame.avg : 0;
+  }
+
+  // stats() for every metric plus the frame series, refreshed every
+  // PERF_REFRESH ms: the overlay reads these each frame, and copying and
+  // sorting the history that often would show up in the render time it reports
+  summary() {
+    const now = performance.now();
+    if (!this.cached || now - this.cachedAt >= PERF_REFRESH) {
+      const stats = {};
+      for (const m of this.metrics) stats[m] = this.stats(m);
+      this.cached = { stats, frames: this.series('frame') };
+      this.cachedAt = now;
+    }
+    return this.cached;
+  }
+
+  // Plain-data summary plus the raw frame series, for comparing devices
+  report(env, counts) {
+    const sections = {};
+    for (const m of this.metrics) sections[m] = this.stats(m);
+    const frames = {};
+    for (const m of this.metrics) frames[m] = this.series(m).map(x => Math.round(x * 100) / 100);
+    return {
+      version: 1, recordedAt: new Date().toISOString(), seconds: Math.round((Date.now() - this.started) / 1000),
+      env, fps: Math.round(this.fps() * 10) / 10, budgetMs: PERF_BUDGET,
+      overBudget: frames.frame.filter(x => x > PERF_BUDGET * 1.5).length,
+      counts, sections, frames,
+    };
+  }
+}
+
+// ─── DEBUG VIEW ───────────────────────────────────────────────────────────────
+// Developer mode (`?debug`, or a four-finger tap): hit shapes, slot anchors and
+// AI state drawn over the game, plus a toolbar to freeze, single-step and
+// spawn a chosen outlaw into a chosen slot
+const DEBUG_BAR = { y: H - 150, h: 34 };
+const DEBUG_BUTTONS = ['freeze', 'step', 'prevSlot', 'nextSlot', 'hp', 'outfit', 'spawn'];
+// The countdown each enemy state runs on
+const STATE_TIMERS = {
+  appearing: 'appearT', hiding: 'hideT', warning: 'warnT', peeking: 'peekT',
+  shooting: 'shootT', retreating: 'retreatT', dead: 'deadT',
+};
+const DEBUG_PART_COLORS = { hat: '#66CCFF', head: '#FF4444', torso: '#FFAA00', arm: '#FFEE55', legs: '#AA88FF' };
+
+// Outlines a hit-shape list (see HIT SHAPES) in the current stroke style
+function strokeShapes(ctx, shapes) {
+  for (const s of shapes) {
+    ctx.beginPath();
+    if (s.kind === 'circle') ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2);
+    else if (s.kind === 'ellipse') ctx.ellipse(s.x, s.y, s.rx, s.ry, 0, 0, Math.PI * 2);
+    else ctx.rect(s.x, s.y, s.w, s.h);
+    ctx.stroke();
+  }
+}
+
+// ─── GAME ─────────────────────────────────────────────────────────────────────
+class WesternShooter extends ShooterSim {
+  constructor() {
+    super();
+    this.canvas = document.getElementById('gameCanvas');
+    this.ctx    = this.canvas.getContext('2d');
+    this.scale  = 1;
+    this.ox = 0; this.oy = 0;
+    this.lastT = null;  // rAF time of the previous frame; set by the first one
+    this.acc = 0; this.alpha = 1;
+    this.sprites = new SpriteAtlas();
+    this.sprites.load(SPRITE_MANIFEST_URL);
+    this.profiler = null;
+    if (/[?&]perf\b/.test(location.search)) this.togglePerf();
+    this.debug = null;
+    if (/[?&]debug\b/.test(location.search)) this.toggleDebug();
+    this.levelError = null;
+    this.levelCache = {};
+    const levelParam = /[?&]level=([\w-]+)/.exec(location.search);
+    this.loadLevel(levelParam ? levelParam[1] : DEFAULT_LEVEL);
+    loadAsset(STAGES_URL, 'json', index => { this.stages = index.stages; });
+    window.perfReport = () => this.perfReport();
+
+    this.resize();
+    window.addEventListener('resize', () => this.resize());
+    this.setupInput();
+    this.setupLifecycle();
+    requestAnimationFrame(t => this.loop(t));
+  }
+
+  resize() {
+    const dpr = window.devicePixelRatio || 1;
+    const cw = window.innerWidth, ch = window.innerHeight;
+    this.scale = Math.min(cw / W, ch / H);
+    this.ox = (cw - W * this.scale) / 2;
+    this.oy = (ch - H * this.scale) / 2;
+    this.canvas.width = cw * dpr; this.canvas.height = ch * dpr;
+    this.canvas.style.width = cw + 'px';
+    this.canvas.style.height = ch + 'px';
+    this.dpr = dpr;
+    this.layerCache = {};
+  }
+  toGame(cx, cy) {
+    return { x: (cx - this.ox) / this.scale, y: (cy - this.oy) / this.scale };
+  }
+
+  // Fetches levels/<id>.json once; a failure lands in `levelError`
+  fetchLevel(id, done) {
+    if (this.levelCache[id]) { done(this.levelCache[id]); return; }
+    this.levelError = null;
+    loadAsset(`${LEVEL_DIR}${id}.json`, 'json', def => {
+      let level;
+      try { level = buildLevel(def); } catch (err) { this.levelError = err.message; return; }
+      this.levelCache[id] = level;
+      done(level);
+    }, () => { this.levelError = `Couldn't load level "${id}"`; });
+  }
+
+  // render() shows a loading card until the first level is in
+  loadLevel(id) { this.fetchLevel(id, level => this.setLevel(level)); }
+
+  levelById(id) { return this.levelCache[id]; }
+
+  setLevel(level) {
+    super.setLevel(level);
+    if (this.debug) this.debug.slot = 0;
+  }
+
+  // The select screen stays up while another stage downloads
+  startStage(id) { this.fetchLevel(id, () => super.startStage(id)); }
+
+  // A replay from another stage waits for that level file
+  playReplay(log) {
+    const id = log && log.opts && log.opts.level;
+    if (id && !this.levelCache[id]) { this.fetchLevel(id, () => super.playReplay(log)); return true; }
+    return super.playReplay(log);
+  }
+
+  setupInput() {
+    const handle = (cx, cy, tap) => {
+      if (!this.level) return;
+      const p = this.toGame(cx, cy);
+      if (tap && this.profiler && inRect(p.x, p.y, PERF_PANEL.x, PERF_PANEL.y, PERF_PANEL.w, PERF_PANEL.h)) { this.exportPerf(); return; }
+      if (tap && this.debug && this.state === 'playing' && inRect(p.x, p.y, 0, DEBUG_BAR.y, W, DEBUG_BAR.h)) { this.tapDebug(p.x); return; }
+      // While a replay plays the recording owns aim and taps; a tap just exits
+      if (this.replay) { if (tap) this.stopReplay(); return; }
+      this.aimAt(p.x, p.y);
+      if (tap) this.onTap(p.x, p.y);
+    };
+    // Audio can only start inside a user gesture; the first one starts the title theme
+    const unlockAudio = () => {
+      this.audio.init(); this.audio.resume();
+      if (this.state === 'intro' && !this.audio.musicPlaying) this.audio.playSong('intro', true);
+    };
+    // Three- and four-finger taps toggle the profiler and the debug view.
+    // Shots never wait on the gesture: each touch fires as it lands, except
+    // the third and fourth fingers, and the toggle happens once all lift
+    let peak = 0;
+    this.canvas.addEventListener('touchstart', e => {
+      e.preventDefault();
+      unlockAudio();
+      peak = Math.max(peak, e.touches.length);
+      if (e.touches.length >= 3) return;
+      for (const t of e.changedTouches) handle(t.clientX, t.clientY, true);
+    }, { passive: false });
+    this.canvas.addEventListener('touchmove', e => {
+      e.preventDefault();
+      handle(e.changedTouches[0].clientX, e.changedTouches[0].clientY, false);
+    }, { passive: false });
+    this.canvas.addEventListener('touchend', e => {
+      e.preventDefault();
+      if (e.touches.length) return;
+      if (peak === 3) this.togglePerf();
+      else if (peak === 4) this.toggleDebug();
+      peak = 0;
+    }, { passive: false });
+    // A cancelled touch (system gesture, alert, app switch) is never a toggle
+    this.canvas.addEventListener('touchcancel', () => { peak = 0; });
+    this.canvas.addEventListener('mousedown', e => {
+      unlockAudio();
+      handle(e.clientX, e.clientY, true);
+    });
+    this.canvas.addEventListener('mousemove', e => handle(e.clientX, e.clientY, false));
+  }
+
+  // Leaving the app pauses the run and silences audio; coming back lands on
+  // the pause menu, so the player chooses when the shooting starts again
+  setupLifecycle() {
+    // A run already in its game-over delay is left to finish rather than paused
+    const autoPause = () => { if (!this.replay && !this.ending) this.pause(); };
+    const hide = () => {
+      autoPause();
+      this.audio.sleep();
+    };
+    const show = () => { if (!document.hidden) this.audio.wake(); };
+    document.addEventListener('visibilitychange', () => (document.hidden ? hide() : show()));
+    window.addEventListener('pagehide', hide);
+    window.addEventListener('pageshow', show);
+    // Native shells: the Capacitor App plugin reports the WebView going to the background
+    const app = window.Capacitor && window.Capacitor.Plugins && window.Capacitor.Plugins.App;
+    if (app) {
+      app.addListener('pause', hide);
+      app.addListener('resume', show);
+    }
+    this.audio.onInterrupt = autoPause;
+  }
+
+  // ─── LOOP ───────────────────────────────────────────────────────────────────
+  // Fixed-step accumulator: the sim always advances in SIM_STEP increments no
+  // matter the display rate, and render() blends the last two steps by alpha.
+  loop(t) {
+    const prof = this.profiler;
+    // The first frame only starts the clock: there is no gap to catch up on
+    const first = this.lastT === null, dt = first ? 0 : t - this.lastT;
+    if (prof && !first) prof.commit(dt);
+    this.acc += clamp(dt / 1000, 0, MAX_FRAME_DT);
+    this.lastT = t;
+    if (prof) prof.begin('update');
+    const tick = () => (this.replay ? this.stepReplay() : this.update(SIM_STEP));
+    // The debug view can freeze the sim and advance it one step per STEP tap
+    const frozen = this.debug && this.debug.frozen;
+    while (this.acc >= SIM_STEP) {
+      this.acc -= SIM_STEP;
+      if (!frozen) tick();
+    }
+    if (frozen && this.debug.steps) { this.debug.steps--; tick(); }
+    if (prof) { prof.end('update'); prof.begin('render'); }
+    this.alpha = frozen ? 1 : this.acc / SIM_STEP;
+    this.render();
+    if (prof) prof.end('render');
+    requestAnimationFrame(ts => this.loop(ts));
+  }
+
+  // ─── DEBUG VIEW ─────────────────────────────────────────────────────────────
+  toggleDebug() {
+    this.debug = this.debug ? null : { frozen: false, steps: 0, slot: 0, hp: 1, outfit: 0 };
+  }
+
+  tapDebug(x) {
+    const d = this.debug, slots = this.level.slots;
+    switch (DEBUG_BUTTONS[Math.floor(x / (W / DEBUG_BUTTONS.length))]) {
+      case 'freeze':   d.frozen = !d.frozen; break;
+      case 'step':     d.frozen = true; d.steps++; break;
+      case 'prevSlot': d.slot = (d.slot + slots.length - 1) % slots.length; break;
+      case 'nextSlot': d.slot = (d.slot + 1) % slots.length; break;
+      case 'hp':       d.hp = d.hp % 3 + 1; break;
+      case 'outfit':   d.outfit = (d.outfit + 1) % OUTFITS.length; break;
+      case 'spawn': {
+        const slot = slots[d.slot];
+        if (this.enemies.some(e => e.slotId === slot.id && e.state !== 'dead')) break;
+        this.addEnemy(slot, d.hp, d.outfit);
+        this.recorder = null;   // the run no longer follows from its seed and taps
+        break;
+      }
+    }
+  }
+
+  drawDebugOverlay(ctx) {
+    const d = this.debug;
+    ctx.save();
+    ctx.lineWidth = 1; ctx.font = '10px monospace'; ctx.textAlign = 'center';
+    const label = (text, x, y, color) => {
+      const w = ctx.measureText(text).width + 6;
+      ctx.fillStyle = 'rgba(0,0,0,0.7)'; ctx.fillRect(x - w / 2, y - 9, w, 12);
+      ctx.fillStyle = color; ctx.fillText(text, x, y);
+    };
+
+    // Bullet-stopping scenery, then the shootable props
+    ctx.strokeStyle = 'rgba(200,200,200,0.6)';
+    for (const l of this.sceneLayers()) if (l.shapes) strokeShapes(ctx, l.shapes);
+    ctx.strokeStyle = '#88CCFF';
+    if (this.chandelierAlive) strokeShapes(ctx, this.level.chandelier.shapes);
+    strokeShapes(ctx, this.bottles.filter(b => b.alive).map(bottleShape));
+
+    // Spawn slots: anchor at (x, peekY); dimmed until their wave
+    this.level.slots.forEach((s, i) => {
+      const open = s.minWave <= this.wave, picked = i === d.slot;
+      ctx.strokeStyle = picked ? '#FF55FF' : open ? '#55FF55' : 'rgba(85,255,85,0.35)';
+      ctx.lineWidth = picked ? 2 : 1;
+      ctx.beginPath();
+      ctx.moveTo(s.x - 8, s.peekY); ctx.lineTo(s.x + 8, s.peekY);
+      ctx.moveTo(s.x, s.peekY - 8); ctx.lineTo(s.x, s.peekY + 8);
+      ctx.stroke();
+      label(`${s.id} w${s.minWave}`, s.x, s.peekY + 20, ctx.strokeStyle);
+    });
+    ctx.lineWidth = 1;
+
+    // Outlaws: per-part shapes, state and its countdown
+    for (const e of this.enemies) {
+      for (const s of enemyShapes(e)) { ctx.strokeStyle = DEBUG_PART_COLORS[s.part] || '#FFF'; strokeShapes(ctx, [s]); }
+      const timer = e[STATE_TIMERS[e.state]];
+      label(`${e.state}${timer > 0 ? ' ' + timer.toFixed(2) : ''} hp${e.hp}${e.visible ? '' : ' (hidden)'}`,
+        e.drawX, e.drawY - 46, '#FFAA00');
+    }
+    // Civilians: silhouette and civState (static cast shows its scare timer)
+    for (const c of this.civilians) {
+      if (!c.alive) continue;
+      ctx.strokeStyle = '#FF55FF'; strokeShapes(ctx, civShapes(c));
+      const state = c.civState ? `${c.civState}${c.stayTimer > 0 ? ' ' + c.stayTimer.toFixed(1) : ''}` : c.scared > 0 ? 'scared' : 'idle';
+      label(`${c.subtype || c.type}: ${state}`, c.x, c.y - 42, '#FF99FF');
+    }
+
+    // Toolbar
+    const bw = W / DEBUG_BUTTONS.length, slot = this.level.slots[d.slot] || this.level.slots[0];
+    const text = {
+      freeze: d.frozen ? 'RUN' : 'FREEZE', step: 'STEP', prevSlot: '◀ SLOT', nextSlot: 'SLOT ▶',
+      hp: `HP ${d.hp}`, outfit: `LOOK ${d.outfit}`, spawn: 'SPAWN',
+    };
+    ctx.fillStyle = 'rgba(0,0,0,0.75)'; ctx.fillRect(0, DEBUG_BAR.y - 14, W, DEBUG_BAR.h + 14);
+    ctx.font = '10px monospace'; ctx.fillStyle = '#FF99FF';
+    ctx.fillText(`slot ${slot.id} (${slot.type}, wave ${slot.minWave}+)  t=${this.time.toFixed(2)}${d.frozen ? '  FROZEN' : ''}`, W / 2, DEBUG_BAR.y - 3);
+    ctx.font = 'bold 11px monospace';
+    DEBUG_BUTTONS.forEach((b, i) => {
+      ctx.fillStyle = b === 'freeze' && d.frozen ? '#7A3210' : '#3A2A1A';
+      ctx.fillRect(i * bw + 2, DEBUG_BAR.y + 2, bw - 4, DEBUG_BAR.h - 4);
+      ctx.fillStyle = '#FFE8B0'; ctx.fillText(text[b], i * bw + bw / 2, DEBUG_BAR.y + DEBUG_BAR.h / 2 + 4);
+    });
+    ctx.restore();
+  }
+
+  // ─── PERF OVERLAY ───────────────────────────────────────────────────────────
+  // The draw sections are wrapped on this instance the first time the overlay
+  // opens, so a normal session never pays for the timing
+  togglePerf() {
+    if (!this.perfProfiler) { this.perfProfiler = new FrameProfiler(); this.perfProfiler.instrument(this); }
+    this.perfProfiler.cur = {};
+    this.profiler = this.profiler ? null : this.perfProfiler;
+    this.audio.countSources(!!this.profiler);
+  }
+
+  perfCounts() {
+    return {
+      enemies: this.enemies.length, civilians: this.civilians.length,
+      particles: this.particles.count, alerts: this.alerts.count, holes: this.holes.count,
+      audioNodes: this.audio.liveSources,
+    };
+  }
+
+  perfReport() {
+    const cap = window.Capacitor;
+    const env = {
+      platform: cap && cap.getPlatform ? `capacitor-${cap.getPlatform()}` : location.protocol === 'file:' ? 'ios-webview' : 'browser',
+      userAgent: navigator.userAgent, dpr: this.dpr,
+      viewport: [window.innerWidth, window.innerHeight], scale: Math.round(this.scale * 1000) / 1000,
+      state: this.state, wave: this.wave,
+    };
+    return (this.profiler || this.perfProfiler || new FrameProfiler()).report(env, this.perfCounts());
+  }
+
+  // Saves the report as a .json download; in WebViews that can't download,
+  // read window.perfReport() from a remote inspector instead
+  exportPerf() {
+    const report = this.perfReport(), json = JSON.stringify(report, null, 1);
+    try {
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      a.download = `perf-${report.env.platform}-${report.recordedAt.replace(/[:.]/g, '-')}.json`;
+      document.body.appendChild(a); a.click(); document.body.removeChild(a);
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    } catch (_) {}
+  }
+
+  drawPerfOverlay(ctx) {
+    const prof = this.profiler, { x, y, w, h } = PERF_PANEL;
+    const { stats, frames } = prof.summary(), frame = stats.frame, counts = this.perfCounts();
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,0,0.72)'; ctx.fillRect(x, y, w, h);
+    ctx.font = 'bold 12px monospace'; ctx.textAlign = 'left';
+    ctx.fillStyle = frame.avg > PERF_BUDGET * 1.2 ? '#FF6655' : '#7FE07F';
+    ctx.fillText(`${prof.fps(frame).toFixed(1)} fps  ${frame.avg.toFixed(1)}ms  p95 ${frame.p95.toFixed(1)}`, x + 6, y + 15);
+
+    // Frame-time graph, newest on the right; the line marks the 60 fps budget
+    const gx = x + 6, gy = y + 22, gw = w - 12, gh = 40, ms = 2 * PERF_BUDGET;
+    ctx.fillStyle = 'rgba(255,255,255,0.08)'; ctx.fillRect(gx, gy, gw, gh);
+    ctx.fillStyle = '#6FB0FF';
+    for (let i = Math.max(0, frames.length - gw); i < frames.length; i++) {
+      const bh = Math.min(gh, (frames[i] / ms) * gh);
+      ctx.fillRect(gx + gw - frames.length + i, gy + gh - bh, 1, bh);
+    }
+    ctx.fillStyle = '#FFD700'; ctx.fillRect(gx, gy + gh / 2, gw, 1);
+
+    ctx.font = '11px monospace'; ctx.fillStyle = '#F5E6C8';
+    const rows = ['update', 'render', ...PERF_SECTIONS].map(m => {
+      const s = stats[m];
+      return `${m.padEnd(13)} ${s.avg.toFixed(2).padStart(5)} ${s.max.toFixed(1).padStart(5)}`;
+    });
+    rows.push(`enemies ${counts.enemies}  civs ${counts.civilians}`);
+    rows.push(`particles ${counts.particles}  audio ${counts.audioNodes}`);
+    rows.forEach((row, i) => ctx.fillText(row, x + 6, gy + gh + 14 + i * 13));
+    ctx.fillStyle = '#8A7A60'; ctx.fillText('tap to export JSON', x + 6, y + h - 4);
+    ctx.restore();
+  }
 
   // ─── RENDER ─────────────────────────────────────────────────────────────────
   render() {
@@ -1063,12 +2847,28 @@ class WesternShooter {
     ctx.scale(dpr, dpr);
     ctx.translate(this.ox, this.oy);
     ctx.scale(this.scale, this.scale);
+    if (!this.level) { this.drawLoading(ctx); ctx.restore(); return; }
     switch (this.state) {
       case 'intro':    this.drawIntro(ctx); break;
+      case 'stages':   this.drawStages(ctx); break;
       case 'playing':  this.drawGame(ctx);  break;
       case 'paused':   this.drawPaused(ctx); break;
       case 'gameover': this.drawGameOver(ctx); break;
+      case 'stats':    this.drawStats(ctx); break;
+      case 'achievements': this.drawAchievements(ctx); break;
+      case 'settings': this.drawSettings(ctx); break;
     }
+    if (this.replay) this.drawReplayBanner(ctx);
+    if (this.debug && (this.state === 'playing' || this.state === 'paused')) this.drawDebugOverlay(ctx);
+    if (this.profiler) this.drawPerfOverlay(ctx);
+    ctx.restore();
+  }
+
+  drawLoading(ctx) {
+    ctx.fillStyle = '#1A0800'; ctx.fillRect(0, 0, W, H);
+    ctx.save(); ctx.textAlign = 'center';
+    ctx.font = 'bold 22px Georgia, serif'; ctx.fillStyle = this.levelError ? '#CC5533' : '#DEB887';
+    ctx.fillText(this.levelError || 'Loading…', W / 2, H / 2);
     ctx.restore();
   }
 
@@ -1084,43 +2884,242 @@ class WesternShooter {
     ctx.fillText('OFFLINE', W / 2, H / 2 - 80);
     ctx.fillText('SHOOTER', W / 2, H / 2 - 18);
     ctx.font = '17px Georgia, serif'; ctx.fillStyle = '#DEB887';
-    ctx.fillText('The Sheriff cleans up the saloon!', W / 2, H / 2 + 24);
+    ctx.fillText('The Sheriff cleans up the town!', W / 2, H / 2 + 24);
     ctx.fillText('Tap outlaws  •  Spare civilians  •  6 bullets', W / 2, H / 2 + 48);
     if (this.bestScore > 0) {
       ctx.font = '16px Georgia, serif'; ctx.fillStyle = '#DAA520';
       ctx.fillText(`High Score: ${this.bestScore}`, W / 2, H / 2 + 72);
     }
     ctx.restore();
-    this.drawBtn(ctx, W / 2, H / 2 + 108, 240, 52, 'ENTER THE BAR');
+    this.drawBtn(ctx, W / 2, H / 2 + 108, 240, 52, 'RIDE INTO TOWN');
+    this.drawBtn(ctx, W / 2 - 148, H / 2 + 164, 136, 40, 'STATS');
+    this.drawBtn(ctx, W / 2, H / 2 + 164, 136, 40, 'AWARDS');
+    this.drawBtn(ctx, W / 2 + 148, H / 2 + 164, 136, 40, 'SETTINGS');
     this._drawCredit(ctx, H - 42);
   }
 
+  // Stage cards: best wave on played stages, the unlock rule on locked ones
+  drawStages(ctx) {
+    this.drawScene(ctx); this.drawDoors(ctx);
+    ctx.fillStyle = 'rgba(0,0,0,0.8)'; ctx.fillRect(0, 0, W, H);
+    ctx.save(); ctx.textAlign = 'center';
+    ctx.font = 'bold 40px Georgia, serif';
+    ctx.strokeStyle = '#000'; ctx.lineWidth = 4;
+    ctx.strokeText('STAGES', W / 2, 62);
+    ctx.fillStyle = '#FFD700'; ctx.fillText('STAGES', W / 2, 62);
+    const names = Object.fromEntries(this.stages.map(s => [s.id, s.name]));
+    const { x, w, h } = STAGE_CARD;
+    this.stages.forEach((s, i) => {
+      const y = stageCardY(i), open = this.isUnlocked(s), rec = this.stats.records.stages[s.id];
+      ctx.fillStyle = open ? 'rgba(140,70,25,0.6)' : 'rgba(50,40,30,0.6)';
+      drawRR(ctx, x, y, w, h, 8); ctx.fill();
+      const current = s.id === this.level.id;
+      ctx.strokeStyle = current ? '#FFD700' : 'rgba(255,210,120,0.3)'; ctx.lineWidth = current ? 2 : 1;
+      drawRR(ctx, x, y, w, h, 8); ctx.stroke();
+      ctx.textAlign = 'left';
+      ctx.font = 'bold 20px Georgia, serif'; ctx.fillStyle = open ? '#FFE8B0' : '#7A6A50';
+      ctx.fillText(s.name, x + 16, y + 34);
+      ctx.font = '14px Georgia, serif'; ctx.fillStyle = open ? '#DEB887' : '#6A5A40';
+      ctx.fillText(open ? s.blurb : `Reach wave ${s.unlock.wave} in ${names[s.unlock.stage]}`, x + 16, y + 60);
+      ctx.textAlign = 'right'; ctx.font = 'bold 15px Georgia, serif'; ctx.fillStyle = open ? '#DAA520' : '#7A6A50';
+      ctx.fillText(!open ? 'LOCKED' : rec ? `Wave ${rec.wave}` : 'NEW', x + w - 16, y + 34);
+      if (open && rec) {
+        ctx.font = '13px Georgia, serif'; ctx.fillStyle = '#C8A050';
+        ctx.fillText(`${rec.score} pts`, x + w - 16, y + 60);
+      }
+    });
+    if (this.levelError) {
+      ctx.textAlign = 'center'; ctx.font = '15px Georgia, serif'; ctx.fillStyle = '#CC5533';
+      ctx.fillText(this.levelError, W / 2, H - 100);
+    }
+    ctx.restore();
+    this.drawBtn(ctx, W / 2, H - 55, 160, 44, 'BACK');
+  }
+
+  drawSettings(ctx) {
+    if (this.settingsFrom === 'paused') this.drawPaused(ctx, true);
+    else { this.drawScene(ctx); this.drawDoors(ctx); }
+    ctx.fillStyle = 'rgba(0,0,0,0.8)'; ctx.fillRect(0, 0, W, H);
+    ctx.save(); ctx.textAlign = 'center';
+    ctx.font = 'bold 40px Georgia, serif';
+    ctx.strokeStyle = '#000'; ctx.lineWidth = 4;
+    ctx.strokeText('SETTINGS', W / 2, 62);
+    ctx.fillStyle = '#FFD700'; ctx.fillText('SETTINGS', W / 2, 62);
+    SETTINGS_ROWS.forEach((row, i) => {
+      const cy = settingsRowY(i), v = this.settings[row.key];
+      ctx.textAlign = 'left'; ctx.font = 'bold 15px Georgia, serif'; ctx.fillStyle = '#DEB887';
+      ctx.fillText(row.label, 24, cy + 5);
+      if (row.nextRun && this.settingsFrom === 'paused') {
+        ctx.font = 'italic 11px Georgia, serif'; ctx.fillStyle = '#8A7040';
+        ctx.fillText('from next run', 24, cy + 21);
+      }
+      if (row.slider) {
+        const x0 = SETTINGS_CTRL_X, x1 = x0 + SETTINGS_CTRL_W * v;
+        ctx.fillStyle = 'rgba(255,255,255,0.12)'; drawRR(ctx, x0, cy - 4, SETTINGS_CTRL_W, 8, 4); ctx.fill();
+        ctx.fillStyle = '#C8842A'; drawRR(ctx, x0, cy - 4, Math.max(8, x1 - x0), 8, 4); ctx.fill();
+        ctx.fillStyle = '#FFE8B0'; ctx.beginPath(); ctx.arc(x1, cy, 11, 0, Math.PI * 2); ctx.fill();
+        ctx.textAlign = 'center'; ctx.font = 'bold 9px Georgia, serif'; ctx.fillStyle = '#5A2A08';
+        ctx.fillText(Math.round(v * 100), x1, cy + 3);
+      } else {
+        const segW = SETTINGS_CTRL_W / row.options.length;
+        row.options.forEach(([val, label], j) => {
+          const sx = SETTINGS_CTRL_X + j * segW, on = val === v;
+          ctx.fillStyle = on ? '#B85A20' : 'rgba(255,255,255,0.08)';
+          drawRR(ctx, sx + 2, cy - 17, segW - 4, 34, 6); ctx.fill();
+          ctx.textAlign = 'center'; ctx.font = 'bold 13px Georgia, serif';
+          ctx.fillStyle = on ? '#FFE8B0' : '#8A7A60';
+          ctx.fillText(label, sx + segW / 2, cy + 5);
+        });
+      }
+    });
+    ctx.restore();
+    this.drawBtn(ctx, W / 2, H - 55, 160, 44, 'BACK');
+  }
+
+  drawAchievements(ctx) {
+    this.drawScene(ctx); this.drawDoors(ctx);
+    ctx.fillStyle = 'rgba(0,0,0,0.8)'; ctx.fillRect(0, 0, W, H);
+    ctx.save(); ctx.textAlign = 'center';
+    ctx.font = 'bold 40px Georgia, serif';
+    ctx.strokeStyle = '#000'; ctx.lineWidth = 4;
+    ctx.strokeText('AWARDS', W / 2, 62);
+    ctx.fillStyle = '#FFD700'; ctx.fillText('AWARDS', W / 2, 62);
+    ctx.font = '14px Georgia, serif'; ctx.fillStyle = '#C8A050';
+    ctx.fillText(`${this.achievements.count} / ${ACHIEVEMENTS.length} unlocked`, W / 2, 88);
+    ACHIEVEMENTS.forEach((a, i) => {
+      const y = 110 + i * 66, got = this.achievements.has(a.id);
+      ctx.fillStyle = got ? 'rgba(218,165,32,0.16)' : 'rgba(255,255,255,0.05)';
+      drawRR(ctx, 24, y, W - 48, 56, 8); ctx.fill();
+      this.drawBadge(ctx, 56, y + 28, got);
+      ctx.textAlign = 'left';
+      ctx.font = 'bold 17px Georgia, serif'; ctx.fillStyle = got ? '#FFD700' : '#8A7A60';
+      ctx.fillText(a.title, 88, y + 24);
+      ctx.font = '13px Georgia, serif'; ctx.fillStyle = got ? '#DEB887' : '#6A5A48';
+      ctx.fillText(a.desc, 88, y + 44);
+    });
+    ctx.restore();
+    this.drawBtn(ctx, W / 2, H - 55, 160, 44, 'BACK');
+  }
+
+  // Sheriff-star badge; greyed out while locked
+  drawBadge(ctx, cx, cy, lit) {
+    ctx.save();
+    ctx.fillStyle = lit ? '#DAA520' : '#4A4030';
+    ctx.beginPath();
+    for (let i = 0; i < 12; i++) {
+      const r = i % 2 ? 7 : 17, a = -Math.PI / 2 + i * Math.PI / 6;
+      ctx.lineTo(cx + Math.cos(a) * r, cy + Math.sin(a) * r);
+    }
+    ctx.closePath(); ctx.fill();
+    ctx.fillStyle = lit ? '#FFE880' : '#5A5040';
+    ctx.beginPath(); ctx.arc(cx, cy, 5, 0, Math.PI * 2); ctx.fill();
+    ctx.restore();
+  }
+
+  drawStats(ctx) {
+    const { runs, lifetime: life, records: rec } = this.stats;
+    const pct = v => `${Math.round(v * 100)}%`;
+    const mmss = t => `${Math.floor(t / 60)}:${String(Math.floor(t % 60)).padStart(2, '0')}`;
+    this.drawScene(ctx); this.drawDoors(ctx);
+    ctx.fillStyle = 'rgba(0,0,0,0.8)'; ctx.fillRect(0, 0, W, H);
+    ctx.save(); ctx.textAlign = 'center';
+    ctx.font = 'bold 40px Georgia, serif';
+    ctx.strokeStyle = '#000'; ctx.lineWidth = 4;
+    ctx.strokeText('STATS', W / 2, 62);
+    ctx.fillStyle = '#FFD700'; ctx.fillText('STATS', W / 2, 62);
+
+    // Personal records | lifetime totals, two label/value columns
+    const column = (x, title, rows) => {
+      ctx.textAlign = 'left'; ctx.font = 'bold 15px Georgia, serif'; ctx.fillStyle = '#DAA520';
+      ctx.fillText(title, x, 100);
+      ctx.font = '13px Georgia, serif';
+      rows.forEach(([label, value], i) => {
+        ctx.textAlign = 'left'; ctx.fillStyle = '#C8A050'; ctx.fillText(label, x, 122 + i * 19);
+        ctx.textAlign = 'right'; ctx.fillStyle = '#F5E6C8'; ctx.fillText(value, x + 190, 122 + i * 19);
+      });
+    };
+    column(24, 'RECORDS', [
+      ['Best score', rec.score], ['Highest wave', rec.wave], ['Best accuracy', pct(rec.accuracy)],
+      ['Most kills', rec.kills], ['Longest run', mmss(rec.time)],
+    ]);
+    column(262, 'LIFETIME', [
+      ['Runs', life.runs], ['Kills', `${life.kills} (${life.headshots} HS)`],
+      ['Accuracy', pct(life.shots ? life.hits / life.shots : 0)],
+      ['Innocents hit', life.civiliansHit], ['Bottles / lamps', `${life.bottles} / ${life.chandeliers}`],
+      ['Time played', mmss(life.time)],
+    ]);
+
+    // Recent runs table
+    const top = 262, cols = [['SCORE', 24], ['WAVE', 120], ['ACC', 180], ['KILLS', 236], ['TIME', 300], ['ENDED BY', 362]];
+    ctx.textAlign = 'left'; ctx.font = 'bold 15px Georgia, serif'; ctx.fillStyle = '#DAA520';
+    ctx.fillText('RECENT RUNS', 24, top);
+    ctx.font = 'bold 11px Georgia, serif'; ctx.fillStyle = '#8A7040';
+    for (const [label, x] of cols) ctx.fillText(label, x, top + 22);
+    ctx.font = '13px Georgia, serif';
+    const cause = { outlaw: 'Outlaw', civilian: 'Innocent', quit: 'Quit' };
+    runs.slice(0, 12).forEach((r, i) => {
+      const y = top + 44 + i * 22;
+      ctx.fillStyle = i % 2 ? 'rgba(255,255,255,0.03)' : 'rgba(255,255,255,0.07)'; ctx.fillRect(18, y - 15, W - 36, 21);
+      ctx.fillStyle = '#F5E6C8';
+      [r.score, r.wave, pct(r.accuracy), r.kills, mmss(r.time), cause[r.cause] || '—']
+        .forEach((v, j) => ctx.fillText(String(v), cols[j][1], y));
+    });
+    if (!runs.length) {
+      ctx.textAlign = 'center'; ctx.fillStyle = '#8A7040';
+      ctx.fillText('No runs yet — go clean up the saloon!', W / 2, top + 60);
+    }
+    ctx.restore();
+    this.drawBtn(ctx, W / 2, H - 55, 160, 44, 'BACK');
+  }
+
   drawGameOver(ctx) {
     this.drawScene(ctx); this.drawDoors(ctx);
     ctx.fillStyle = 'rgba(0,0,0,0.74)'; ctx.fillRect(0, 0, W, H);
     ctx.save(); ctx.textAlign = 'center';
     ctx.font = 'bold 52px Georgia, serif';
     ctx.strokeStyle = '#000'; ctx.lineWidth = 4;
-    ctx.strokeText('GAME OVER', W / 2, H * 0.33);
-    ctx.fillStyle = '#CC1111'; ctx.fillText('GAME OVER', W / 2, H * 0.33);
+    ctx.strokeText('GAME OVER', W / 2, H * 0.22);
+    ctx.fillStyle = '#CC1111'; ctx.fillText('GAME OVER', W / 2, H * 0.22);
     ctx.font = 'bold 28px Georgia, serif'; ctx.fillStyle = '#FFD700';
-    ctx.fillText(`Score: ${this.score}`, W / 2, H * 0.45);
-    ctx.fillText(`Wave:  ${this.wave}`, W / 2, H * 0.53);
-    if (this.bestScore > 0) {
-      ctx.font = '18px Georgia, serif'; ctx.fillStyle = '#DEB887';
-      ctx.fillText(`Best: ${this.bestScore}`, W / 2, H * 0.60);
-    }
+    ctx.fillText(`Score: ${this.score}`, W / 2, H * 0.31);
+    ctx.fillText(`Wave:  ${this.wave}`, W / 2, H * 0.37);
+    ctx.font = '18px Georgia, serif'; ctx.fillStyle = '#DEB887';
+    if (this.bestScore > 0) ctx.fillText(`Best: ${this.bestScore}`, W / 2, H * 0.42);
+    ctx.fillText(`Accuracy: ${Math.round(this.accuracy() * 100)}%`, W / 2, H * 0.47);
     ctx.restore();
-    this.drawBtn(ctx, W / 2, H * 0.70, 200, 52, 'PLAY AGAIN');
+    this.drawAccuracyChart(ctx, W / 2, H * 0.49, 240, 52);
+    this.drawBtn(ctx, W / 2, H * 0.64, 200, 52, 'PLAY AGAIN');
+    if (this.bestReplay) this.drawBtn(ctx, W / 2, H * 0.72, 220, 44, 'WATCH BEST RUN');
     this.drawBtn(ctx, W / 2, H * 0.80, 160, 44, 'EXIT');
     this._drawCredit(ctx, H - 42);
   }
 
-  drawPaused(ctx) {
+  // Per-wave accuracy bars (most recent waves if the run went long)
+  drawAccuracyChart(ctx, cx, top, cw, ch) {
+    const waves = this.waveStats.slice(-12);
+    if (!waves.length) return;
+    const slot = cw / waves.length, bw = Math.min(16, slot - 4), barH = ch - 14;
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,0,0.3)'; drawRR(ctx, cx - cw / 2 - 6, top - 4, cw + 12, ch + 6, 5); ctx.fill();
+    ctx.textAlign = 'center'; ctx.font = '9px Georgia, serif';
+    waves.forEach((w, i) => {
+      const acc = w.shots ? w.hits / w.shots : 0;
+      const bx = cx - cw / 2 + slot * (i + 0.5);
+      ctx.fillStyle = 'rgba(255,255,255,0.08)'; ctx.fillRect(bx - bw / 2, top, bw, barH);
+      ctx.fillStyle = acc >= 0.75 ? '#7FCC55' : acc >= 0.5 ? '#FFD700' : '#CC5533';
+      ctx.fillRect(bx - bw / 2, top + barH * (1 - acc), bw, barH * acc);
+      ctx.fillStyle = '#C8A050'; ctx.fillText(`W${w.wave}`, bx, top + ch - 2);
+    });
+    ctx.restore();
+  }
+
+  // `backdropOnly` draws just the frozen game behind the settings overlay
+  drawPaused(ctx, backdropOnly) {
     this.drawScene(ctx); this.drawDoors(ctx);
-    for (const c of COVERS) this.drawCover(ctx, c);
+    for (const c of this.level.covers) this.drawCover(ctx, c);
     for (const c of this.civilians) this.drawCivilian(ctx, c);
     this.drawFPSGun(ctx); this.drawHUD(ctx);
+    if (backdropOnly) return;
     ctx.fillStyle = 'rgba(0,0,0,0.58)'; ctx.fillRect(0, 0, W, H);
     ctx.save(); ctx.textAlign = 'center';
     ctx.font = 'bold 46px Georgia, serif';
@@ -1129,10 +3128,23 @@ class WesternShooter {
     ctx.fillStyle = '#FFD700'; ctx.fillText('PAUSED', W / 2, H / 2 - 18);
     ctx.restore();
     this.drawBtn(ctx, W / 2, H / 2 + 42, 180, 48, 'RESUME');
-    this.drawBtn(ctx, W / 2, H / 2 + 105, 160, 44, 'EXIT');
+    this.drawBtn(ctx, W / 2, H / 2 + 100, 160, 44, 'SETTINGS');
+    this.drawBtn(ctx, W / 2, H / 2 + 156, 160, 44, 'EXIT');
     this._drawCredit(ctx, H - 42);
   }
 
+  drawReplayBanner(ctx) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,0,0.45)'; drawRR(ctx, W / 2 - 70, 50, 140, 40, 6); ctx.fill();
+    ctx.textAlign = 'center';
+    const p = 0.6 + Math.abs(Math.sin(Date.now() / 400)) * 0.4;
+    ctx.globalAlpha = p; ctx.font = 'bold 18px Georgia, serif'; ctx.fillStyle = '#FF4444';
+    ctx.fillText('● REPLAY', W / 2, 70);
+    ctx.globalAlpha = 1; ctx.font = '10px Georgia, serif'; ctx.fillStyle = '#DEB887';
+    ctx.fillText('tap to exit', W / 2, 84);
+    ctx.restore();
+  }
+
   drawBtn(ctx, cx, cy, bw, bh, txt) {
     const x = cx - bw / 2, y = cy - bh / 2;
     ctx.fillStyle = 'rgba(0,0,0,0.45)';
@@ -1150,58 +3162,30 @@ class WesternShooter {
   // ── Main game draw ──────────────────────────────────────────────────────────
   drawGame(ctx) {
     this.drawScene(ctx);
-
-    // Balcony enemies + balcony civs → railing
-    for (const e of this.enemies) { if (e.posType === 'balcony' && e.visible) this.drawEnemy(ctx, e); }
-    for (const c of this.civilians) { if (c.type === 'doorCiv' && c.spawnMode === 'balcony') this.drawCivilian(ctx, c); }
-    this.drawBalconyRail(ctx);
-
-    // Doors FIRST, then entering enemies & door civs ON TOP
-    this.drawDoors(ctx);
-    for (const e of this.enemies) { if (e.state === 'entering' && e.visible) this.drawEnemy(ctx, e); }
-    for (const c of this.civilians) { if (c.type === 'doorCiv' && c.spawnMode === 'door' && (c.civState === 'entering' || c.civState === 'leaving')) this.drawCivilian(ctx, c); }
-
-    // Window enemies + window civs → frames
-    for (const e of this.enemies) { if (e.posType === 'window' && e.visible && e.state !== 'entering') this.drawEnemy(ctx, e); }
-    for (const c of this.civilians) { if (c.type === 'doorCiv' && c.spawnMode === 'window') this.drawCivilian(ctx, c); }
-    this.drawWindowFrames(ctx);
-
-    // Ground enemies → cover tables
-    for (const e of this.enemies) { if (e.posType === 'cover' && e.state !== 'entering' && e.visible) this.drawEnemy(ctx, e); }
-    for (const c of COVERS) this.drawCover(ctx, c);
-    // Decorative tables
-    for (const dt of DECO_TABLES) this.drawRoundTable(ctx, dt.x, dt.y, dt.w, dt.h);
-    this.drawChairs(ctx);
-
-    // Piano drawn ON TOP of tables for visibility
-    this.drawPiano(ctx);
-
-    // Ground-idle civs (static + idle door civs)
-    for (const c of this.civilians) {
-      if (c.type === 'doorCiv' && (c.spawnMode === 'window' || c.spawnMode === 'balcony')) continue;
-      if (c.type === 'doorCiv' && (c.civState === 'entering' || c.civState === 'leaving')) continue;
-      this.drawCivilian(ctx, c);
-    }
+    for (const l of this.sceneLayers()) this.drawLayer(ctx, l);
 
     // FPS gun
     this.drawFPSGun(ctx);
 
     // Particles
     this.drawParticles(ctx);
+    if (this.settings.crosshair !== 'none') this.drawCrosshair(ctx);
 
     // Screen flashes
     if (this.hitFlash > 0) { ctx.fillStyle = `rgba(180,0,0,${this.hitFlash * 0.5})`; ctx.fillRect(0, 0, W, H); }
     if (this.civFlash > 0) { ctx.fillStyle = `rgba(220,180,0,${this.civFlash * 0.45})`; ctx.fillRect(0, 0, W, H); }
 
     // Floating alerts
-    for (const a of this.alerts) {
-      ctx.save(); ctx.globalAlpha = clamp(a.t, 0, 1);
-      ctx.font = 'bold 18px Georgia, serif'; ctx.textAlign = 'center';
-      ctx.strokeStyle = '#000'; ctx.lineWidth = 3;
+    ctx.save();
+    ctx.font = 'bold 18px Georgia, serif'; ctx.textAlign = 'center';
+    ctx.strokeStyle = '#000'; ctx.lineWidth = 3;
+    for (let i = 0; i < this.alerts.count; i++) {
+      const a = this.alerts.items[i];
+      ctx.globalAlpha = clamp(a.t, 0, 1);
       ctx.strokeText(a.text, a.x, a.y);
       ctx.fillStyle = a.color; ctx.fillText(a.text, a.x, a.y);
-      ctx.restore();
     }
+    ctx.restore();
 
     // Wave banner
     if (this.waveBanner > 0 && this.waveBanner < 2.5) {
@@ -1217,29 +3201,101 @@ class WesternShooter {
     this.drawHUD(ctx);
   }
 
+  drawLayer(ctx, l) {
+    switch (l.kind) {
+      case 'enemy':        this.drawEnemy(ctx, l.e); break;
+      case 'civ':          this.drawCivilian(ctx, l.c); break;
+      case 'rail':         this.drawBalconyRail(ctx); break;
+      case 'parapet':      this.drawParapet(ctx); break;
+      case 'doors':        this.drawDoors(ctx); break;
+      case 'windowFrames': this.drawWindowFrames(ctx); break;
+      case 'cover':        this.drawCover(ctx, l.t); break;
+      case 'chairs':       this.drawChairs(ctx); break;
+      case 'piano':        this.drawPiano(ctx); break;
+    }
+  }
+
   // ─── SCENE ──────────────────────────────────────────────────────────────────
+  // Static parts of the room are painted once into offscreen canvases at
+  // device resolution and blitted each frame; live pieces go on top
   drawScene(ctx) {
-    // Ceiling
-    for (let i = 0; i < 5; i++) {
-      ctx.fillStyle = i % 2 ? '#4E3614' : '#5A4018';
-      ctx.fillRect(0, i * 18, W, 18);
-      ctx.fillStyle = '#3A2808'; ctx.fillRect(0, i * 18 + 16, W, 2);
+    ctx.drawImage(this.cachedLayer('backdrop', this.level.id, c => this.paintBackdrop(c)), 0, 0, W, H);
+    this.drawBottles(ctx);
+    this.drawProps(ctx);
+    this.drawChandelier(ctx);
+    ctx.drawImage(this.cachedLayer('lighting', `${this.level.id}:${this.chandelierAlive}`, c => this.paintLighting(c)), 0, 0, W, H);
+    // Dust
+    ctx.save();
+    for (const d of this.dust) {
+      ctx.globalAlpha = d.a; ctx.fillStyle = '#FFE0A0';
+      ctx.beginPath(); ctx.arc(interp(d.px, d.x, this.alpha), interp(d.py, d.y, this.alpha), d.r, 0, Math.PI * 2); ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  // Offscreen copy of `paint`'s output (full screen unless `w`×`h` is given),
+  // repainted when `key` changes; resize() drops them all so they always match
+  // the device pixel scale
+  cachedLayer(name, key, paint, w = W, h = H) {
+    let l = this.layerCache[name];
+    if (!l || l.key !== key) {
+      const s = this.scale * (this.dpr || 1);
+      const canvas = l ? l.canvas : document.createElement('canvas');
+      canvas.width = Math.ceil(w * s); canvas.height = Math.ceil(h * s);
+      const lctx = canvas.getContext('2d');
+      lctx.setTransform(s, 0, 0, s, 0, 0);
+      paint(lctx);
+      this.layerCache[name] = l = { canvas, key };
+    }
+    return l.canvas;
+  }
+
+  // Each level names the renderer for its static art in `backdrop`
+  paintBackdrop(ctx) {
+    switch (this.level.backdrop) {
+      case 'bank':   this.paintBank(ctx); break;
+      case 'train':  this.paintTrain(ctx); break;
+      case 'street': this.paintStreet(ctx); break;
+      case 'jail':   this.paintJail(ctx); break;
+      default:       this.paintSaloon(ctx);
     }
-    // Wall
-    for (let i = 0; i < 9; i++) {
-      const y0 = WALL_TOP + i * 22;
-      ctx.fillStyle = i % 2 ? '#6B5018' : '#7A5E22';
-      ctx.fillRect(0, y0, W, 22);
-      ctx.fillStyle = '#4A350E'; ctx.fillRect(0, y0 + 20, W, 2);
+  }
+
+  // Full-width boards or courses alternating two colours, seam along each bottom
+  paintBands(ctx, y0, count, h, [even, odd], seam) {
+    for (let i = 0; i < count; i++) {
+      ctx.fillStyle = i % 2 ? odd : even; ctx.fillRect(0, y0 + i * h, W, h);
+      ctx.fillStyle = seam; ctx.fillRect(0, y0 + i * h + h - 2, W, 2);
     }
+  }
+
+  // Dark opening and frame at the level's door, with an optional sign board
+  paintDoorway(ctx, frame, sign) {
+    const { x: dx, top, bottom, width: dw } = this.level.door;
+    ctx.fillStyle = '#060300';
+    ctx.fillRect(dx - dw / 2, top, dw, bottom - top);
+    ctx.fillStyle = frame;
+    ctx.fillRect(dx - dw / 2 - 8, top - 6, dw + 16, 6);
+    ctx.fillRect(dx - dw / 2 - 8, top - 6, 8, bottom - top + 12);
+    ctx.fillRect(dx + dw / 2, top - 6, 8, bottom - top + 12);
+    if (!sign) return;
+    ctx.fillStyle = '#4A2808';
+    drawRR(ctx, dx - 40, top - 30, 80, 22, 3); ctx.fill();
+    ctx.fillStyle = '#DAA520'; ctx.font = 'bold 13px Georgia, serif'; ctx.textAlign = 'center';
+    ctx.fillText(sign, dx, top - 13);
+  }
+
+  // Ceiling, walls, posters, shelf, bar, door frame and floor
+  paintSaloon(ctx) {
+    this.paintBands(ctx, 0, 5, 18, ['#5A4018', '#4E3614'], '#3A2808');
+    this.paintBands(ctx, WALL_TOP, 9, 22, ['#7A5E22', '#6B5018'], '#4A350E');
     // Wanted posters — clear of door frame and window
     this.drawWanted(ctx, 108, 170);
     this.drawWanted(ctx, 320, 170);
     // Window backs
-    for (const w of WINDOWS) this.drawWindowBack(ctx, w);
-    // Shelf + bottles
+    for (const w of this.level.windows) this.drawWindowBack(ctx, w);
+    // Shelf (bottles are drawn live on top)
     ctx.fillStyle = '#6B3A10'; ctx.fillRect(0, BAR_Y - 48, W, 18);
-    this.drawBottles(ctx);
     // Bar counter
     const barGrad = ctx.createLinearGradient(0, BAR_Y, 0, BAR_Y + BAR_H);
     barGrad.addColorStop(0, '#A0562A'); barGrad.addColorStop(0.1, '#8B4513');
@@ -1247,36 +3303,187 @@ class WesternShooter {
     ctx.fillStyle = barGrad; ctx.fillRect(0, BAR_Y, W, BAR_H);
     ctx.fillStyle = '#B8682E'; ctx.fillRect(0, BAR_Y, W, 4);
     this.drawBarItems(ctx);
-    // Dark door opening
-    ctx.fillStyle = '#060300';
-    ctx.fillRect(DOOR_CX - DOOR_W / 2, DOOR_TOP, DOOR_W, DOOR_BOT - DOOR_TOP);
-    // Door frame
-    ctx.fillStyle = '#3A2008';
-    ctx.fillRect(DOOR_CX - DOOR_W / 2 - 8, DOOR_TOP - 6, DOOR_W + 16, 6);
-    ctx.fillRect(DOOR_CX - DOOR_W / 2 - 8, DOOR_TOP - 6, 8, DOOR_BOT - DOOR_TOP + 12);
-    ctx.fillRect(DOOR_CX + DOOR_W / 2, DOOR_TOP - 6, 8, DOOR_BOT - DOOR_TOP + 12);
-    // "SALOON" sign
-    ctx.fillStyle = '#4A2808';
-    drawRR(ctx, DOOR_CX - 40, DOOR_TOP - 30, 80, 22, 3); ctx.fill();
-    ctx.fillStyle = '#DAA520'; ctx.font = 'bold 13px Georgia, serif'; ctx.textAlign = 'center';
-    ctx.fillText('SALOON', DOOR_CX, DOOR_TOP - 13);
-    // Floor
-    for (let i = 0; i < 12; i++) {
-      ctx.fillStyle = i % 2 ? '#6B3415' : '#7A3E1A';
-      ctx.fillRect(0, FLOOR_Y + i * 22, W, 22);
-      ctx.fillStyle = '#4A2410'; ctx.fillRect(0, FLOOR_Y + i * 22 + 20, W, 2);
+    this.paintDoorway(ctx, '#3A2008', 'SALOON');
+    this.paintBands(ctx, FLOOR_Y, 12, 22, ['#7A3E1A', '#6B3415'], '#4A2410');
+  }
+
+  // Gallery, green plaster, vault door, teller cage over a marble counter, tiled floor
+  paintBank(ctx) {
+    ctx.fillStyle = '#1E2620'; ctx.fillRect(0, 0, W, H);
+    this.paintBands(ctx, 0, 5, 18, ['#4A5444', '#414A3C'], '#2A3028');
+    this.paintBands(ctx, WALL_TOP, 9, 22, ['#6E8A6C', '#668264'], '#4C6450');
+    // Vault door
+    const vx = 140, vy = 240;
+    ctx.fillStyle = '#3A3A3A'; ctx.beginPath(); ctx.arc(vx, vy, 32, 0, Math.PI * 2); ctx.fill();
+    ctx.fillStyle = '#8A8A80'; ctx.beginPath(); ctx.arc(vx, vy, 28, 0, Math.PI * 2); ctx.fill();
+    ctx.strokeStyle = '#5A5A54'; ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.arc(vx, vy, 20, 0, Math.PI * 2); ctx.stroke();
+    ctx.strokeStyle = '#C8A030'; ctx.lineWidth = 2.5;
+    for (let i = 0; i < 3; i++) {
+      const dx = Math.cos(i * Math.PI / 3) * 12, dy = Math.sin(i * Math.PI / 3) * 12;
+      ctx.beginPath(); ctx.moveTo(vx - dx, vy - dy); ctx.lineTo(vx + dx, vy + dy); ctx.stroke();
     }
-    // Chandelier
-    this.drawChandelier(ctx);
+    ctx.fillStyle = '#DAA520'; ctx.beginPath(); ctx.arc(vx, vy, 4, 0, Math.PI * 2); ctx.fill();
+    ctx.fillStyle = '#2A2A2A'; ctx.fillRect(vx + 28, vy - 16, 6, 10); ctx.fillRect(vx + 28, vy + 6, 6, 10);
+    // Brass plaque
+    ctx.fillStyle = '#3A2A14'; ctx.fillRect(300, 220, 76, 26);
+    ctx.strokeStyle = '#B8922A'; ctx.lineWidth = 1.5; ctx.strokeRect(302, 222, 72, 22);
+    ctx.fillStyle = '#DAA520'; ctx.font = 'bold 11px Georgia, serif'; ctx.textAlign = 'center';
+    ctx.fillText('DEPOSITS', 338, 237);
+    for (const w of this.level.windows) this.drawWindowBack(ctx, w);
+    // Teller cage: brass bars with two open windows
+    const cageTop = BAR_Y - 58;
+    ctx.fillStyle = '#B8922A'; ctx.fillRect(0, cageTop, W, 4);
+    for (let x = 4; x < W; x += 9) {
+      if (Math.abs(x - 160) < 24 || Math.abs(x - 330) < 24) continue;
+      ctx.fillRect(x, cageTop + 4, 2, 54);
+    }
+    // Marble counter
+    const cg = ctx.createLinearGradient(0, BAR_Y, 0, BAR_Y + BAR_H);
+    cg.addColorStop(0, '#D8D0C0'); cg.addColorStop(0.12, '#A89E8C'); cg.addColorStop(1, '#5A5246');
+    ctx.fillStyle = cg; ctx.fillRect(0, BAR_Y, W, BAR_H);
+    ctx.fillStyle = '#EAE2D2'; ctx.fillRect(0, BAR_Y, W, 4);
+    ctx.strokeStyle = 'rgba(60,50,40,0.35)'; ctx.lineWidth = 1;
+    for (let x = 40; x < W; x += 80) ctx.strokeRect(x - 30, BAR_Y + 12, 60, BAR_H - 20);
+    this.paintDoorway(ctx, '#2A2A24', 'BANK');
+    // Tiled floor
+    for (let r = 0; r < 12; r++) {
+      for (let c = 0; c < W / 24; c++) {
+        ctx.fillStyle = (r + c) % 2 ? '#5E564A' : '#A49A86';
+        ctx.fillRect(c * 24, FLOOR_Y + r * 22, 24, 22);
+      }
+    }
+  }
+
+  // Clerestory roof, luggage racks, panelled walls, the end door and an aisle runner
+  paintTrain(ctx) {
+    ctx.fillStyle = '#2A1608'; ctx.fillRect(0, 0, W, H);
+    this.paintBands(ctx, 0, 7, 18, ['#5A3A1C', '#4E3218'], '#36220E');
+    ctx.fillStyle = 'rgba(232,216,160,0.3)';
+    for (let x = 14; x < W; x += 46) ctx.fillRect(x, 20, 30, 14);
+    this.paintBands(ctx, WALL_TOP, 9, 22, ['#7A4422', '#6E3C1E'], '#4A2410');
+    for (const w of this.level.windows) this.drawWindowBack(ctx, w);
+    // Luggage racks
+    for (const [bx, bw, c] of [[20, 44, '#6B3A1A'], [130, 36, '#3A4A5A'], [300, 50, '#5A2A2A'], [400, 40, '#6B5A3A']]) {
+      ctx.fillStyle = c; ctx.fillRect(bx, 118, bw, 22);
+      ctx.fillStyle = 'rgba(0,0,0,0.25)'; ctx.fillRect(bx, 126, bw, 2);
+    }
+    ctx.fillStyle = '#B8922A'; ctx.fillRect(0, 140, W, 3); ctx.fillRect(0, 150, W, 2);
+    // Wainscot below the windows
+    ctx.fillStyle = '#4A2410'; ctx.fillRect(0, 280, W, FLOOR_Y - 280);
+    ctx.strokeStyle = 'rgba(140,80,30,0.4)'; ctx.lineWidth = 1.5;
+    for (let x = 8; x < W; x += 60) ctx.strokeRect(x, 290, 48, FLOOR_Y - 304);
+    this.paintDoorway(ctx, '#3A2008', null);
+    ctx.fillStyle = 'rgba(255,200,120,0.06)';
+    ctx.fillRect(this.level.door.x - 20, this.level.door.top + 20, 40, 50);
+    // Floor and runner
+    this.paintBands(ctx, FLOOR_Y, 12, 22, ['#3A2A1A', '#34261A'], '#22180E');
+    const dx = this.level.door.x;
+    ctx.fillStyle = '#7A1A1A';
+    ctx.beginPath();
+    ctx.moveTo(dx - 30, FLOOR_Y); ctx.lineTo(dx + 30, FLOOR_Y);
+    ctx.lineTo(dx + 90, H); ctx.lineTo(dx - 90, H); ctx.closePath(); ctx.fill();
+    ctx.strokeStyle = '#B8922A'; ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(dx - 24, FLOOR_Y); ctx.lineTo(dx - 80, H);
+    ctx.moveTo(dx + 24, FLOOR_Y); ctx.lineTo(dx + 80, H); ctx.stroke();
+  }
+
+  // Dusk sky over false-front buildings, the livery between them, boardwalk and dirt
+  paintStreet(ctx) {
+    const sky = ctx.createLinearGradient(0, 0, 0, PARAPET_Y + 30);
+    sky.addColorStop(0, '#2A1A3A'); sky.addColorStop(0.6, '#8A4A4A'); sky.addColorStop(1, '#D8843A');
+    ctx.fillStyle = sky; ctx.fillRect(0, 0, W, PARAPET_Y + 30);
+    // Distant mesas
+    ctx.fillStyle = '#4A2A3A';
+    ctx.beginPath(); ctx.moveTo(0, PARAPET_Y);
+    [[40, 70], [60, 62], [150, 62], [170, 80], [290, 80], [310, 58], [380, 58], [400, 74], [W, 74]]
+      .forEach(([mx, my]) => ctx.lineTo(mx, my));
+    ctx.lineTo(W, PARAPET_Y); ctx.closePath(); ctx.fill();
+    // Facades: dry goods, livery, hotel
+    for (const [fx, fw, c, sign] of [[0, 170, '#7A5A3A', 'DRY GOODS'], [170, 140, '#6A4A2E', 'LIVERY'], [310, 170, '#84603C', 'HOTEL']]) {
+      ctx.fillStyle = c; ctx.fillRect(fx, PARAPET_Y, fw, BAR_Y - PARAPET_Y);
+      ctx.fillStyle = 'rgba(0,0,0,0.12)';
+      for (let x = fx + 10; x < fx + fw; x += 10) ctx.fillRect(x, PARAPET_Y, 1, BAR_Y - PARAPET_Y);
+      ctx.fillStyle = 'rgba(0,0,0,0.3)'; ctx.fillRect(fx + fw - 2, PARAPET_Y, 2, BAR_Y - PARAPET_Y);
+      if (sign === 'LIVERY') continue;
+      ctx.fillStyle = '#E8DCC8'; ctx.fillRect(fx + 20, 128, fw - 40, 22);
+      ctx.fillStyle = '#3A2010'; ctx.font = 'bold 14px Georgia, serif'; ctx.textAlign = 'center';
+      ctx.fillText(sign, fx + fw / 2, 144);
+    }
+    for (const w of this.level.windows) this.drawWindowBack(ctx, w);
+    // Awnings and their posts
+    ctx.fillStyle = '#5A3A1E';
+    ctx.fillRect(0, 250, 176, 8); ctx.fillRect(304, 250, 176, 8);
+    for (const px of [8, 164, 308, 464]) ctx.fillRect(px, 258, 8, BAR_Y - 258);
+    this.paintDoorway(ctx, '#4A3018', 'LIVERY');
+    // Barrels
+    for (const bx of [30, 450]) {
+      ctx.fillStyle = '#7A5030'; ctx.fillRect(bx - 14, BAR_Y, 28, 40);
+      ctx.fillStyle = '#3A3A3A'; ctx.fillRect(bx - 14, BAR_Y + 8, 28, 3); ctx.fillRect(bx - 14, BAR_Y + 29, 28, 3);
+    }
+    // Boardwalk
+    ctx.fillStyle = '#7A5A34'; ctx.fillRect(0, BAR_Y + 40, W, FLOOR_Y - BAR_Y - 40);
+    ctx.fillStyle = 'rgba(0,0,0,0.25)';
+    for (let x = 0; x < W; x += 16) ctx.fillRect(x, BAR_Y + 40, 1, FLOOR_Y - BAR_Y - 40);
+    // Street
+    const dirt = ctx.createLinearGradient(0, FLOOR_Y, 0, H);
+    dirt.addColorStop(0, '#9A7448'); dirt.addColorStop(1, '#6A4A2A');
+    ctx.fillStyle = dirt; ctx.fillRect(0, FLOOR_Y, W, H - FLOOR_Y);
+    ctx.strokeStyle = 'rgba(60,40,20,0.25)'; ctx.lineWidth = 6;
+    for (const rx of [150, 330]) {
+      ctx.beginPath(); ctx.moveTo(rx, FLOOR_Y); ctx.lineTo(rx + (rx - W / 2) * 1.5, H); ctx.stroke();
+    }
+  }
+
+  // Plank ceiling on beams, stone walls, posters and gun rack, flagstone floor
+  paintJail(ctx) {
+    ctx.fillStyle = '#1A1612'; ctx.fillRect(0, 0, W, H);
+    this.paintBands(ctx, 0, 5, 18, ['#4A3A24', '#42341F'], '#2A2014');
+    ctx.fillStyle = '#2E2214';
+    for (const bx of [60, 180, 300, 420]) ctx.fillRect(bx - 6, 0, 12, 90);
+    // Stone courses, joints offset every other row
+    for (let r = 0, y0 = 90; y0 < BAR_Y; r++, y0 += 20) {
+      ctx.fillStyle = r % 2 ? '#6A665C' : '#726E62'; ctx.fillRect(0, y0, W, 20);
+      ctx.fillStyle = '#4A463E'; ctx.fillRect(0, y0 + 18, W, 2);
+      for (let x = (r % 2) * 24; x < W; x += 48) ctx.fillRect(x, y0, 2, 18);
+    }
+    this.drawWanted(ctx, 108, 170);
+    for (const w of this.level.windows) this.drawWindowBack(ctx, w);
+    // Gun rack
+    ctx.fillStyle = '#4A2A10'; ctx.fillRect(300, 186, 76, 6); ctx.fillRect(300, 248, 76, 6);
+    for (let i = 0; i < 4; i++) {
+      const gx = 310 + i * 18;
+      ctx.fillStyle = '#3A2A1A'; ctx.fillRect(gx, 176, 3, 62);
+      ctx.fillStyle = '#6B4A2A'; ctx.fillRect(gx - 2, 232, 7, 18);
+    }
+    // Plank wainscot
+    this.paintBands(ctx, BAR_Y, 3, 20, ['#4A3A24', '#42341F'], '#2A2014');
+    this.paintDoorway(ctx, '#2E2214', 'SHERIFF');
+    // Key ring by the door
+    ctx.strokeStyle = '#B8922A'; ctx.lineWidth = 1.5;
+    ctx.beginPath(); ctx.arc(178, 250, 5, 0, Math.PI * 2); ctx.stroke();
+    ctx.fillRect(177, 254, 2, 8);
+    // Flagstones
+    for (let r = 0, y0 = FLOOR_Y; y0 < H; r++, y0 += 24) {
+      ctx.fillStyle = r % 2 ? '#524E46' : '#5A554C'; ctx.fillRect(0, y0, W, 24);
+      ctx.fillStyle = '#3A362F'; ctx.fillRect(0, y0 + 22, W, 2);
+      for (let x = (r % 2) * 30; x < W; x += 60) ctx.fillRect(x, y0, 2, 22);
+    }
+  }
+
+  // Chandelier glow (or a plain warm light on stages without one) and vignette
+  paintLighting(ctx) {
     // Light cone — dimmer when chandelier is broken
-    if (this.chandelierAlive) {
-      const lg = ctx.createRadialGradient(W / 2, 40, 0, W / 2, 40, 340);
+    const { x: lx, y: ly } = this.level.chandelier || { x: W / 2, y: 36 };
+    if (this.chandelierAlive || !this.level.chandelier) {
+      const lg = ctx.createRadialGradient(lx, ly + 4, 0, lx, ly + 4, 340);
       lg.addColorStop(0, 'rgba(255,210,100,0.18)');
       lg.addColorStop(0.5, 'rgba(255,170,50,0.06)');
       lg.addColorStop(1, 'rgba(0,0,0,0)');
       ctx.fillStyle = lg; ctx.fillRect(0, 0, W, H);
     } else {
-      const lg = ctx.createRadialGradient(W / 2, 40, 0, W / 2, 40, 200);
+      const lg = ctx.createRadialGradient(lx, ly + 4, 0, lx, ly + 4, 200);
       lg.addColorStop(0, 'rgba(255,180,60,0.04)');
       lg.addColorStop(1, 'rgba(0,0,0,0)');
       ctx.fillStyle = lg; ctx.fillRect(0, 0, W, H);
@@ -1285,25 +3492,21 @@ class WesternShooter {
     const vig = ctx.createRadialGradient(W / 2, H * 0.42, H * 0.2, W / 2, H * 0.42, H * 0.85);
     vig.addColorStop(0, 'rgba(0,0,0,0)'); vig.addColorStop(1, 'rgba(0,0,0,0.6)');
     ctx.fillStyle = vig; ctx.fillRect(0, 0, W, H);
-    // Dust
-    ctx.save();
-    for (const d of this.dust) {
-      ctx.globalAlpha = d.a; ctx.fillStyle = '#FFE0A0';
-      ctx.beginPath(); ctx.arc(d.x, d.y, d.r, 0, Math.PI * 2); ctx.fill();
-    }
-    ctx.restore();
   }
 
   // ── Batwing Doors — LOW position, large open space ABOVE ──
+  // Other door styles are just the backdrop's opening
   drawDoors(ctx) {
-    const halfW = DOOR_W / 2 - 2;
+    const door = this.level.door;
+    if (door.style !== 'batwing') return;
+    const halfW = door.width / 2 - 2;
     const panelH = DOOR_PANEL_H;
     const louverH = panelH * 0.55;
-    const aL = this.door.angleL;
-    const aR = this.door.angleR;
+    const aL = interp(this.door.prevL, this.door.angleL, this.alpha);
+    const aR = interp(this.door.prevR, this.door.angleR, this.alpha);
 
     ctx.save();
-    ctx.translate(DOOR_CX, DOOR_PANEL_TOP);
+    ctx.translate(door.x, door.panelTop);
 
     // Left panel
     ctx.save();
@@ -1389,7 +3592,7 @@ class WesternShooter {
   }
 
   drawWindowFrames(ctx) {
-    for (const win of WINDOWS) {
+    for (const win of this.level.windows) {
       const x = win.x - win.w / 2, y = win.y - win.h / 2;
       ctx.strokeStyle = '#4A2C08'; ctx.lineWidth = 5; ctx.strokeRect(x, y, win.w, win.h);
       ctx.fillStyle = '#5A3A10'; ctx.fillRect(x - 3, y + win.h - 2, win.w + 6, 6);
@@ -1424,7 +3627,8 @@ class WesternShooter {
 
   // ── Scene props ─────────────────────────────────────────────────────────────
   drawChandelier(ctx) {
-    const cx = W / 2, cy = 36;
+    if (!this.level.chandelier) return;
+    const { x: cx, y: cy } = this.level.chandelier;
     // Chain from ceiling
     ctx.strokeStyle = '#8B6914'; ctx.lineWidth = 2;
     ctx.beginPath(); ctx.moveTo(cx, 0); ctx.lineTo(cx, cy - 8); ctx.stroke();
@@ -1529,6 +3733,68 @@ class WesternShooter {
     }
   }
 
+  // Stage breakables (PROP_TYPES); a broken lantern leaves its chain
+  drawProps(ctx) {
+    for (const p of this.props) {
+      const { x, y } = p;
+      const flicker = Math.sin(this.time * 9 + x) * 1.2;
+      switch (p.type) {
+        case 'lamp':
+          ctx.fillStyle = '#8A6A20'; ctx.fillRect(x - 7, y + 8, 14, 4);
+          if (!p.alive) break;
+          ctx.fillStyle = 'rgba(255,210,100,0.15)'; ctx.beginPath(); ctx.arc(x, y - 2, 16, 0, Math.PI * 2); ctx.fill();
+          ctx.fillStyle = '#B8922A'; ctx.beginPath(); ctx.ellipse(x, y + 5, 8, 4, 0, 0, Math.PI * 2); ctx.fill();
+          ctx.fillStyle = 'rgba(230,240,220,0.55)'; ctx.beginPath(); ctx.ellipse(x, y - 3, 5, 7, 0, 0, Math.PI * 2); ctx.fill();
+          ctx.fillStyle = '#FFB030'; ctx.beginPath(); ctx.arc(x, y - 2 + flicker * 0.5, 2.2, 0, Math.PI * 2); ctx.fill();
+          break;
+        case 'lantern':
+          ctx.strokeStyle = '#5A4A2A'; ctx.lineWidth = 1.5;
+          ctx.beginPath(); ctx.moveTo(x, y - 30); ctx.lineTo(x, y - 9); ctx.stroke();
+          if (!p.alive) break;
+          ctx.fillStyle = 'rgba(255,200,90,0.15)'; ctx.beginPath(); ctx.arc(x, y + 1, 18, 0, Math.PI * 2); ctx.fill();
+          ctx.fillStyle = 'rgba(255,200,90,0.75)'; ctx.fillRect(x - 6, y - 6, 12, 14);
+          ctx.fillStyle = '#FFE080'; ctx.beginPath(); ctx.arc(x, y + 2 + flicker * 0.5, 2.5, 0, Math.PI * 2); ctx.fill();
+          ctx.fillStyle = '#3A3A3A'; ctx.fillRect(x - 7, y - 9, 14, 3); ctx.fillRect(x - 7, y + 8, 14, 3);
+          ctx.fillRect(x - 6, y - 6, 1.5, 14); ctx.fillRect(x + 4.5, y - 6, 1.5, 14);
+          break;
+        case 'clock': {
+          if (!p.alive) { ctx.fillStyle = '#3A2A1A'; ctx.fillRect(x - 1, y - 1, 2, 2); break; }
+          ctx.fillStyle = '#5A3210'; ctx.beginPath(); ctx.arc(x, y, 14, 0, Math.PI * 2); ctx.fill();
+          ctx.fillStyle = '#F5E6C8'; ctx.beginPath(); ctx.arc(x, y, 11, 0, Math.PI * 2); ctx.fill();
+          ctx.fillStyle = '#3A2A1A';
+          for (let i = 0; i < 12; i++) {
+            const a = i * Math.PI / 6;
+            ctx.fillRect(x + Math.cos(a) * 9 - 0.75, y + Math.sin(a) * 9 - 0.75, 1.5, 1.5);
+          }
+          const hand = (a, len) => { ctx.beginPath(); ctx.moveTo(x, y); ctx.lineTo(x + Math.sin(a) * len, y - Math.cos(a) * len); ctx.stroke(); };
+          ctx.strokeStyle = '#1A1A1A'; ctx.lineWidth = 1.5;
+          hand(this.time * 0.01 + 2, 5); hand(this.time * 0.12, 8);
+          break;
+        }
+        case 'jug':
+          if (!p.alive) break;
+          ctx.strokeStyle = '#6B4A2A'; ctx.lineWidth = 2;
+          ctx.beginPath(); ctx.arc(x + 5, y - 4, 4, -Math.PI / 2, Math.PI / 2); ctx.stroke();
+          ctx.fillStyle = '#8B6038'; ctx.beginPath(); ctx.ellipse(x, y + 2, 8, 9, 0, 0, Math.PI * 2); ctx.fill();
+          ctx.fillStyle = '#E8D8B0'; ctx.fillRect(x - 3, y - 11, 6, 6);
+          ctx.fillStyle = '#3A2A1A'; ctx.font = 'bold 6px Georgia, serif'; ctx.textAlign = 'center';
+          ctx.fillText('XXX', x, y + 5);
+          break;
+      }
+    }
+  }
+
+  // False-front rooftops on Main Street; roof gunmen hide behind them
+  drawParapet(ctx) {
+    ctx.fillStyle = '#6A4A2A'; ctx.fillRect(0, PARAPET_Y, W, 26);
+    ctx.fillStyle = '#4A3018'; ctx.fillRect(0, PARAPET_Y, W, 6);
+    ctx.fillStyle = '#3A2410';
+    for (let x = 4; x < W; x += 16) ctx.fillRect(x, PARAPET_Y + 6, 8, 4);
+    ctx.fillStyle = 'rgba(0,0,0,0.2)';
+    for (let x = 0; x < W; x += 12) ctx.fillRect(x, PARAPET_Y + 10, 1, 16);
+    ctx.fillStyle = 'rgba(0,0,0,0.3)'; ctx.fillRect(169, PARAPET_Y, 2, 26); ctx.fillRect(309, PARAPET_Y, 2, 26);
+  }
+
   drawBarItems(ctx) {
     const y = BAR_Y - 1;
     [95, 175, 285, 405].forEach(bx => {
@@ -1593,8 +3859,85 @@ class WesternShooter {
     });
   }
 
-  // ── Cover / Round Table ─────────────────────────────────────────────────────
-  drawCover(ctx, c) { this.drawRoundTable(ctx, c.x, c.y, c.w, c.h); }
+  // ── Cover ───────────────────────────────────────────────────────────────────
+  // One drawer per COVER_SHAPES type, each inside the outline traced there
+  drawCover(ctx, c) {
+    switch (c.type) {
+      case 'counter': this.drawCounter(ctx, c); break;
+      case 'crate':   this.drawCrate(ctx, c); break;
+      case 'seat':    this.drawSeat(ctx, c); break;
+      case 'post':    this.drawHitchingPost(ctx, c); break;
+      case 'bars':    this.drawCellBars(ctx, c); break;
+      default:        this.drawRoundTable(ctx, c.x, c.y, c.w, c.h);
+    }
+  }
+
+  // Teller counter / desk: panelled wood front under a marble top
+  drawCounter(ctx, { x, y, w, h }) {
+    const x0 = x - w / 2, y0 = y - 10;
+    ctx.fillStyle = 'rgba(0,0,0,0.2)'; ctx.fillRect(x0 + 3, y0 + h - 2, w, 5);
+    const g = ctx.createLinearGradient(0, y0, 0, y0 + h);
+    g.addColorStop(0, '#7A4A20'); g.addColorStop(1, '#4A2810');
+    ctx.fillStyle = g; ctx.fillRect(x0, y0, w, h);
+    ctx.strokeStyle = 'rgba(30,15,5,0.5)'; ctx.lineWidth = 1.5;
+    const pw = (w - 12) / 2;
+    ctx.strokeRect(x0 + 4, y0 + 12, pw, h - 18); ctx.strokeRect(x0 + 8 + pw, y0 + 12, pw, h - 18);
+    ctx.fillStyle = '#D8D0C0'; ctx.fillRect(x0, y0, w, 7);
+    ctx.fillStyle = '#A89E8C'; ctx.fillRect(x0, y0 + 7, w, 2);
+  }
+
+  drawCrate(ctx, { x, y, w, h }) {
+    const x0 = x - w / 2, y0 = y - 12;
+    ctx.fillStyle = 'rgba(0,0,0,0.2)'; ctx.fillRect(x0 + 3, y0 + h - 2, w, 5);
+    ctx.fillStyle = '#9A7040'; ctx.fillRect(x0, y0, w, h);
+    ctx.fillStyle = 'rgba(60,35,10,0.35)';
+    for (let sy = y0 + 10; sy < y0 + h - 4; sy += 10) ctx.fillRect(x0, sy, w, 1.5);
+    ctx.strokeStyle = '#6B4A20'; ctx.lineWidth = 5;
+    ctx.strokeRect(x0 + 2.5, y0 + 2.5, w - 5, h - 5);
+    ctx.beginPath(); ctx.moveTo(x0 + 4, y0 + 4); ctx.lineTo(x0 + w - 4, y0 + h - 4); ctx.stroke();
+    ctx.fillStyle = '#3A2A1A';
+    for (const [nx, ny] of [[x0 + 3, y0 + 3], [x0 + w - 5, y0 + 3], [x0 + 3, y0 + h - 5], [x0 + w - 5, y0 + h - 5]]) {
+      ctx.fillRect(nx, ny, 2, 2);
+    }
+  }
+
+  // Train bench seen from behind: tufted backrest on a wooden frame
+  drawSeat(ctx, { x, y, w, h }) {
+    const x0 = x - w / 2, y0 = y - 16;
+    ctx.fillStyle = '#4A2810'; ctx.fillRect(x0, y0, w, h);
+    ctx.fillStyle = '#7A1A1A'; drawRR(ctx, x0 + 4, y0 + 6, w - 8, h - 18, 6); ctx.fill();
+    ctx.fillStyle = '#4A0A0A';
+    for (let row = 0; row < 2; row++) {
+      for (let bx = x0 + 14 + row * 8; bx < x0 + w - 8; bx += 16) {
+        ctx.beginPath(); ctx.arc(bx, y0 + 18 + row * 14, 1.6, 0, Math.PI * 2); ctx.fill();
+      }
+    }
+    ctx.fillStyle = '#6B3A10'; ctx.fillRect(x0, y0, w, 5);
+    ctx.fillStyle = '#C8A030'; ctx.fillRect(x - 10, y0 + 1, 20, 3);
+    ctx.fillStyle = '#2A1608'; ctx.fillRect(x0 + 4, y0 + h - 11, 6, 11); ctx.fillRect(x0 + w - 10, y0 + h - 11, 6, 11);
+  }
+
+  // Hitching rail on two posts over a water trough — open between them
+  drawHitchingPost(ctx, { x, y, w, h }) {
+    const x0 = x - w / 2, ty = y + h - 26;
+    ctx.fillStyle = 'rgba(0,0,0,0.2)'; ctx.fillRect(x0 + 12, ty + 20, w - 20, 5);
+    ctx.fillStyle = '#5A3A1A'; ctx.fillRect(x0 + 10, ty, w - 20, 22);
+    ctx.fillStyle = '#3A5A6A'; ctx.fillRect(x0 + 13, ty + 2, w - 26, 5);
+    ctx.fillStyle = '#4A4A4A'; ctx.fillRect(x0 + 20, ty, 3, 22); ctx.fillRect(x0 + w - 23, ty, 3, 22);
+    ctx.fillStyle = '#6B4A24'; ctx.fillRect(x0, y - 10, 8, h); ctx.fillRect(x0 + w - 8, y - 10, 8, h);
+    ctx.fillStyle = '#7A5630'; ctx.fillRect(x0, y - 6, w, 6);
+    ctx.fillStyle = 'rgba(0,0,0,0.25)'; ctx.fillRect(x0, y - 1, w, 1);
+  }
+
+  // Cell front: iron bars between two bands — shots pass through the gaps
+  drawCellBars(ctx, { x, y, w, h }) {
+    const x0 = x - w / 2, y0 = y - 12;
+    ctx.fillStyle = '#2A2A2E';
+    for (let bx = x0; bx <= x0 + w - 3; bx += 11) ctx.fillRect(bx, y0, 3, h);
+    ctx.fillStyle = '#3A3A40'; ctx.fillRect(x0, y0, w, 4); ctx.fillRect(x0, y0 + h - 6, w, 4);
+    ctx.fillStyle = 'rgba(255,255,255,0.12)';
+    for (let bx = x0; bx <= x0 + w - 3; bx += 11) ctx.fillRect(bx, y0, 1, h);
+  }
 
   drawRoundTable(ctx, cx, cy, w, h) {
     const rx = w / 2, topRy = 14;
@@ -1625,7 +3968,8 @@ class WesternShooter {
   // ── Enemies ─────────────────────────────────────────────────────────────────
   drawEnemy(ctx, e) {
     if (!e.visible && e.state !== 'entering') return;
-    const o = OUTFITS[e.outfit], x = e.drawX, y = e.drawY;
+    const o = OUTFITS[e.outfit];
+    const x = interp(e.prevX, e.drawX, this.alpha), y = interp(e.prevY, e.drawY, this.alpha);
     ctx.save();
     if (e.state === 'retreating') ctx.globalAlpha = 0.7 + Math.sin(this.time * 20) * 0.3;
     if (e.state === 'dead') ctx.globalAlpha = clamp(e.deadT / 0.7, 0, 1);
@@ -1634,6 +3978,23 @@ class WesternShooter {
       ctx.fillStyle = 'rgba(0,0,0,0.25)';
       ctx.beginPath(); ctx.ellipse(x, y + 48, 18, 5, 0, 0, Math.PI * 2); ctx.fill();
     }
+    const clip = OUTLAW_CLIPS[e.state];
+    if (!this.sprites.draw(ctx, ['outlaw' + e.outfit, 'outlaw'], e, e.hatOff ? [clip + 'Bare', clip] : clip, x, y, this.time)) {
+      this.drawOutlawFigure(ctx, e, o, x, y);
+    }
+    if (e.maxHp > 1) {
+      for (let i = 0; i < e.maxHp; i++) { ctx.beginPath(); ctx.arc(x - 7 + i * 14, y - 50, 4.5, 0, Math.PI * 2); ctx.fillStyle = i < e.hp ? '#FF3333' : '#444'; ctx.fill(); }
+    }
+    if (e.state === 'warning') {
+      const p = 0.55 + Math.abs(Math.sin(this.time * 14)) * 0.45;
+      ctx.save(); ctx.globalAlpha = p; ctx.font = 'bold 20px Georgia, serif'; ctx.fillStyle = '#FFD700';
+      ctx.textAlign = 'center'; ctx.fillText('!', x, y - 54); ctx.restore();
+    }
+    ctx.restore();
+  }
+
+  // Procedural outlaw: legs while walking in, torso, head, hat and gun arm
+  drawOutlawFigure(ctx, e, o, x, y) {
     if (e.state === 'entering') {
       const lo = e.walkFrame ? 5 : -5;
       ctx.fillStyle = o.pants;
@@ -1665,28 +4026,30 @@ class WesternShooter {
       ctx.beginPath(); ctx.ellipse(x - 4, y - 1, 4.5, 2.5, 0.3, 0, Math.PI * 2); ctx.fill();
       ctx.beginPath(); ctx.ellipse(x + 4, y - 1, 4.5, 2.5, -0.3, 0, Math.PI * 2); ctx.fill();
     }
-    ctx.fillStyle = o.hat;
-    ctx.beginPath(); ctx.ellipse(x, y - 18, 22, 4.5, 0, 0, Math.PI * 2); ctx.fill();
-    ctx.fillRect(x - 13, y - 38, 26, 20);
-    ctx.fillStyle = 'rgba(0,0,0,0.18)';
-    ctx.beginPath(); ctx.moveTo(x - 9, y - 38); ctx.quadraticCurveTo(x, y - 33, x + 9, y - 38);
-    ctx.lineTo(x + 9, y - 36); ctx.quadraticCurveTo(x, y - 31, x - 9, y - 36); ctx.closePath(); ctx.fill();
-    ctx.fillStyle = o.band; ctx.fillRect(x - 13, y - 20, 26, 3);
+    if (e.hatOff) {
+      // Bare head — a tuft of hair where the hat used to be
+      ctx.fillStyle = '#3A2418';
+      ctx.beginPath(); ctx.arc(x, y - 10, 13, Math.PI + 0.35, -0.35); ctx.fill();
+    } else {
+      this.drawHat(ctx, o, x, y - 18);
+    }
 
     if (e.state === 'peeking' || e.state === 'warning' || e.state === 'shooting') {
       ctx.fillStyle = '#555'; ctx.fillRect(x - 24, y + 9, 18, 5);
       ctx.fillStyle = '#333'; ctx.fillRect(x - 34, y + 10, 12, 3.5);
       if (e.state === 'shooting') { ctx.save(); ctx.globalAlpha = 0.35; ctx.fillStyle = '#AAA'; ctx.beginPath(); ctx.arc(x - 36, y + 9, 5, 0, Math.PI * 2); ctx.fill(); ctx.restore(); }
     }
-    if (e.maxHp > 1) {
-      for (let i = 0; i < e.maxHp; i++) { ctx.beginPath(); ctx.arc(x - 7 + i * 14, y - 50, 4.5, 0, Math.PI * 2); ctx.fillStyle = i < e.hp ? '#FF3333' : '#444'; ctx.fill(); }
-    }
-    if (e.state === 'warning') {
-      const p = 0.55 + Math.abs(Math.sin(this.time * 14)) * 0.45;
-      ctx.save(); ctx.globalAlpha = p; ctx.font = 'bold 20px Georgia, serif'; ctx.fillStyle = '#FFD700';
-      ctx.textAlign = 'center'; ctx.fillText('!', x, y - 54); ctx.restore();
-    }
-    ctx.restore();
+  }
+
+  // Outlaw hat; (x, y) is the centre of the brim
+  drawHat(ctx, o, x, y) {
+    ctx.fillStyle = o.hat;
+    ctx.beginPath(); ctx.ellipse(x, y, 22, 4.5, 0, 0, Math.PI * 2); ctx.fill();
+    ctx.fillRect(x - 13, y - 20, 26, 20);
+    ctx.fillStyle = 'rgba(0,0,0,0.18)';
+    ctx.beginPath(); ctx.moveTo(x - 9, y - 20); ctx.quadraticCurveTo(x, y - 15, x + 9, y - 20);
+    ctx.lineTo(x + 9, y - 18); ctx.quadraticCurveTo(x, y - 13, x - 9, y - 18); ctx.closePath(); ctx.fill();
+    ctx.fillStyle = o.band; ctx.fillRect(x - 13, y - 2, 26, 3);
   }
 
   // ── Civilians ─────────────────────────────────────────────────────────────
@@ -1694,7 +4057,7 @@ class WesternShooter {
     if (!c.alive) return;
     ctx.save();
     if (c.hitTimer > 0) ctx.globalAlpha = 0.5 + Math.sin(this.time * 15) * 0.3;
-    switch (c.type) {
+    if (!this.drawCivilianSprite(ctx, c)) switch (c.type) {
       case 'pianist':   this.drawPianist(ctx, c); break;
       case 'bartender': this.drawBartender(ctx, c); break;
       case 'patron':    this.drawPatron(ctx, c); break;
@@ -1702,10 +4065,22 @@ class WesternShooter {
       case 'poker2':    this.drawPokerPlayer(ctx, c, true); break;
       case 'drinker':   this.drawDrinker(ctx, c); break;
       case 'doorCiv':   this.drawDoorCiv(ctx, c); break;
+      default:          if (CIV_LOOKS[c.type]) this.drawTownsfolk(ctx, c);
     }
     ctx.restore();
   }
 
+  // Atlas sprite for this civilian type, if one is loaded (see SPRITES)
+  drawCivilianSprite(ctx, c) {
+    if (!this.sprites.has(c.type)) return false;
+    const walking = c.civState === 'entering' || c.civState === 'leaving';
+    const clip = c.scared > 0 ? 'flee'
+      : c.spawnMode === 'window' || c.spawnMode === 'balcony' ? 'peek' : walking ? 'walk' : 'idle';
+    if (c.drawAlpha !== undefined) ctx.globalAlpha *= c.drawAlpha;
+    const x = interp(c.prevX, c.x, this.alpha), y = interp(c.prevY, c.y, this.alpha);
+    return this.sprites.draw(ctx, c.type, c, clip, x, y, this.time);
+  }
+
   // ── Pianist — LEFT side next to piano ──
   drawPianist(ctx, c) {
     const x = 42, y = 430;
@@ -1783,6 +4158,55 @@ class WesternShooter {
     }
   }
 
+  // ── Townsfolk — the other stages' casts, dressed from CIV_LOOKS ──
+  drawTownsfolk(ctx, c) {
+    const look = CIV_LOOKS[c.type];
+    const x = c.x, y = c.y, dy = c.scared > 0 ? 8 : 0;
+    ctx.fillStyle = look.coat; ctx.fillRect(x - 10, y - 2 + dy, 20, 22);
+    ctx.fillStyle = look.shirt; ctx.fillRect(x - 3, y - 2 + dy, 6, 22);
+    switch (look.extra) {
+      case 'apron': ctx.fillStyle = '#F0E8D8'; ctx.fillRect(x - 8, y + 5 + dy, 16, 15); break;
+      case 'stripes':
+        ctx.fillStyle = '#2A2A2A';
+        for (let sy = 3; sy < 20; sy += 5) ctx.fillRect(x - 10, y + sy + dy, 20, 2);
+        break;
+      case 'badge':
+        ctx.fillStyle = '#DAA520'; ctx.beginPath();
+        for (let i = 0; i < 10; i++) {
+          const a = i * Math.PI / 5 - Math.PI / 2, r = i % 2 ? 1.6 : 3.8;
+          ctx.lineTo(x - 6 + Math.cos(a) * r, y + 5 + dy + Math.sin(a) * r);
+        }
+        ctx.closePath(); ctx.fill();
+        break;
+    }
+    ctx.fillStyle = look.skin; ctx.beginPath(); ctx.arc(x, y - 13 + dy, 10, 0, Math.PI * 2); ctx.fill();
+    if (look.extra === 'beard') {
+      ctx.fillStyle = '#B8B0A0'; ctx.beginPath(); ctx.arc(x, y - 10 + dy, 8, 0, Math.PI); ctx.fill();
+    }
+    ctx.fillStyle = '#2A2A2A';
+    ctx.beginPath(); ctx.arc(x - 3, y - 14 + dy, 1.5, 0, Math.PI * 2); ctx.arc(x + 3, y - 14 + dy, 1.5, 0, Math.PI * 2); ctx.fill();
+    ctx.fillStyle = look.hatColor;
+    switch (look.hat) {
+      case 'visor':  ctx.fillRect(x - 12, y - 22 + dy, 24, 4); break;
+      case 'top':    ctx.fillRect(x - 12, y - 20 + dy, 24, 3); ctx.fillRect(x - 8, y - 28 + dy, 16, 9); break;
+      case 'cap':
+        ctx.fillRect(x - 10, y - 26 + dy, 20, 7); ctx.fillRect(x - 12, y - 20 + dy, 16, 3);
+        ctx.fillStyle = '#DAA520'; ctx.fillRect(x - 2, y - 24 + dy, 4, 3);
+        break;
+      case 'bowler':
+        ctx.beginPath(); ctx.arc(x, y - 20 + dy, 9, Math.PI, 0); ctx.fill();
+        ctx.fillRect(x - 12, y - 21 + dy, 24, 3);
+        break;
+      case 'bonnet':
+        ctx.strokeStyle = look.hatColor; ctx.lineWidth = 5;
+        ctx.beginPath(); ctx.arc(x, y - 13 + dy, 11, Math.PI * 0.9, Math.PI * 2.1); ctx.stroke();
+        break;
+      case 'stetson':
+        ctx.fillRect(x - 12, y - 20 + dy, 24, 4); ctx.fillRect(x - 9, y - 28 + dy, 18, 9);
+        break;
+    }
+  }
+
   // ── Poker Player — sitting at decorative table with cards ──
   drawPokerPlayer(ctx, c, flipped) {
     const x = c.x, y = c.y, dy = c.scared > 0 ? 8 : 0;
@@ -1866,7 +4290,8 @@ class WesternShooter {
   // ── Door Civilian — innocent bystander entering the saloon ──
   drawDoorCiv(ctx, c) {
     if (!c.alive) return;
-    const x = c.x, y = c.y, dy = c.scared > 0 ? 8 : 0;
+    const x = interp(c.prevX, c.x, this.alpha), y = interp(c.prevY, c.y, this.alpha);
+    const dy = c.scared > 0 ? 8 : 0;
     const mode = c.spawnMode || 'door';
     ctx.save();
     // Apply alpha for window/balcony fade
@@ -1982,14 +4407,19 @@ class WesternShooter {
 
   // ── FPS Revolver — realistic steel & walnut ───────────────────────────────
   drawFPSGun(ctx) {
-    if (this.state !== 'playing' && this.state !== 'paused') return;
-    const panX = (this.smoothAimX - 0.5) * GUN_PAN_X;
-    const panY = (this.smoothAimY - 0.5) * GUN_PAN_Y;
-    const recoil = this.recoilT > 0 ? Math.sin((1 - this.recoilT / RECOIL_DUR) * Math.PI) * RECOIL_KICK : 0;
+    if (this.state !== 'playing' && this.state !== 'paused' && this.state !== 'settings') return;
+    const aimX = interp(this.prevAimX, this.smoothAimX, this.alpha);
+    const aimY = interp(this.prevAimY, this.smoothAimY, this.alpha);
+    const recoilT = interp(this.prevRecoil, this.recoilT, this.alpha);
+    const panX = (aimX - 0.5) * GUN_PAN_X;
+    const panY = (aimY - 0.5) * GUN_PAN_Y;
+    const recoil = recoilT > 0 ? Math.sin((1 - recoilT / RECOIL_DUR) * Math.PI) * RECOIL_KICK : 0;
     ctx.save();
     ctx.translate(GUN_ANCHOR_X + panX, GUN_ANCHOR_Y + panY - recoil);
-    const tilt = (this.smoothAimX - 0.5) * -0.08;
+    const tilt = (aimX - 0.5) * -0.08;
     ctx.rotate(tilt);
+    const gunClip = this.reloading ? 'reload' : recoilT > 0 ? 'shoot' : 'idle';
+    if (this.sprites.draw(ctx, 'gun', this, gunClip, 0, 0, this.time)) { ctx.restore(); return; }
 
     // Hand
     const hg = ctx.createLinearGradient(-15, 30, 25, 120);
@@ -2104,6 +4534,11 @@ class WesternShooter {
   // ── Fixed black crosshair (clean "+") ─────────────────────────────────────
   drawCrosshair(ctx) {
     const x = this.crossX, y = this.crossY;
+    if (this.settings.crosshair === 'dot') {
+      ctx.fillStyle = '#000'; ctx.beginPath(); ctx.arc(x, y, 4, 0, Math.PI * 2); ctx.fill();
+      ctx.fillStyle = '#FFE8B0'; ctx.beginPath(); ctx.arc(x, y, 2.2, 0, Math.PI * 2); ctx.fill();
+      return;
+    }
     ctx.save();
     ctx.strokeStyle = '#000000';
     ctx.lineWidth = 3;
@@ -2119,46 +4554,81 @@ class WesternShooter {
   }
 
   // ── Particles ─────────────────────────────────────────────────────────────
+  // Drawn in one pass per kind so fill state is set once per batch rather
+  // than saved and restored for every particle
   drawParticles(ctx) {
-    for (const p of this.particles) {
-      ctx.save();
-      if (p.type === 'blood') {
-        ctx.globalAlpha = clamp(p.t / 0.6, 0, 1); ctx.fillStyle = '#8B0000';
-        ctx.beginPath(); ctx.arc(p.x, p.y, 2.5, 0, Math.PI * 2); ctx.fill();
-      } else if (p.type === 'glass') {
-        ctx.globalAlpha = clamp(p.t / 0.6, 0, 1);
-        ctx.fillStyle = p.color || '#88CCFF';
-        ctx.beginPath(); ctx.arc(p.x, p.y, rand(1.5, 3), 0, Math.PI * 2); ctx.fill();
-        // Glint
-        ctx.fillStyle = 'rgba(255,255,255,0.5)';
-        ctx.beginPath(); ctx.arc(p.x, p.y, 1, 0, Math.PI * 2); ctx.fill();
-      } else if (p.type === 'hole') {
-        ctx.globalAlpha = clamp(p.t * 0.22, 0, 0.8); ctx.fillStyle = '#111';
-        ctx.beginPath(); ctx.arc(p.x, p.y, 4, 0, Math.PI * 2); ctx.fill();
-        ctx.strokeStyle = '#333'; ctx.lineWidth = 0.8;
-        ctx.beginPath(); ctx.arc(p.x, p.y, 8, 0, Math.PI * 2); ctx.stroke();
-        for (let a = 0; a < 5; a++) {
-          const ang = (a / 5) * Math.PI * 2; ctx.strokeStyle = '#222';
-          ctx.beginPath(); ctx.moveTo(p.x + Math.cos(ang) * 4, p.y + Math.sin(ang) * 4);
-          ctx.lineTo(p.x + Math.cos(ang) * 12, p.y + Math.sin(ang) * 12); ctx.stroke();
-        }
-      } else if (p.type === 'hit') {
-        ctx.globalAlpha = clamp(p.t / 0.2, 0, 1); ctx.fillStyle = '#FF5555';
-        ctx.beginPath(); ctx.arc(p.x, p.y, 12, 0, Math.PI * 2); ctx.fill();
-      } else if (p.type === 'flash') {
-        const ft = clamp(p.t / 0.13, 0, 1); ctx.globalAlpha = ft * 0.45;
-        const og = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, 36);
-        og.addColorStop(0, 'rgba(255,180,60,0.8)'); og.addColorStop(0.4, 'rgba(255,120,20,0.4)');
-        og.addColorStop(1, 'rgba(255,80,0,0)');
-        ctx.fillStyle = og; ctx.beginPath(); ctx.arc(p.x, p.y, 36, 0, Math.PI * 2); ctx.fill();
-        ctx.globalAlpha = ft * 0.8; ctx.fillStyle = '#FFF';
-        ctx.beginPath(); ctx.arc(p.x, p.y, 8, 0, Math.PI * 2); ctx.fill();
-      } else if (p.type === 'eflash') {
-        ctx.globalAlpha = clamp(p.t / 0.13, 0, 0.8); ctx.fillStyle = '#FFBB44';
-        ctx.beginPath(); ctx.arc(p.x, p.y, 10, 0, Math.PI * 2); ctx.fill();
+    const ps = this.particles.items, n = this.particles.count, hs = this.holes.items;
+    ctx.save();
+    // Bullet holes under everything else
+    ctx.fillStyle = '#111'; ctx.lineWidth = 0.8;
+    for (let i = 0; i < this.holes.count; i++) {
+      const { x, y, t } = hs[i];
+      ctx.globalAlpha = clamp(t * 0.22, 0, 0.8);
+      ctx.beginPath(); ctx.arc(x, y, 4, 0, Math.PI * 2); ctx.fill();
+      ctx.strokeStyle = '#333';
+      ctx.beginPath(); ctx.arc(x, y, 8, 0, Math.PI * 2); ctx.stroke();
+      ctx.strokeStyle = '#222'; ctx.beginPath();
+      for (let a = 0; a < 5; a++) {
+        const ang = (a / 5) * Math.PI * 2;
+        ctx.moveTo(x + Math.cos(ang) * 4, y + Math.sin(ang) * 4);
+        ctx.lineTo(x + Math.cos(ang) * 12, y + Math.sin(ang) * 12);
+      }
+      ctx.stroke();
+    }
+    // Glass shards and sparks, each with a glint
+    let fill = null;
+    for (let i = 0; i < n; i++) {
+      const p = ps[i];
+      if (p.type !== 'glass') continue;
+      const x = interp(p.px, p.x, this.alpha), y = interp(p.py, p.y, this.alpha);
+      const color = p.color || '#88CCFF';
+      ctx.globalAlpha = clamp(p.t / 0.6, 0, 1);
+      if (fill !== color) { ctx.fillStyle = fill = color; }
+      ctx.beginPath(); ctx.arc(x, y, p.r, 0, Math.PI * 2); ctx.fill();
+      ctx.fillStyle = 'rgba(255,255,255,0.5)';
+      ctx.beginPath(); ctx.arc(x, y, 1, 0, Math.PI * 2); ctx.fill();
+      ctx.fillStyle = fill;
+    }
+    // Plain fading dots
+    for (const type in DOT_PARTICLES) {
+      const d = DOT_PARTICLES[type];
+      ctx.fillStyle = d.color;
+      for (let i = 0; i < n; i++) {
+        const p = ps[i];
+        if (p.type !== type) continue;
+        ctx.globalAlpha = clamp(p.t / d.fade, 0, d.max);
+        ctx.beginPath();
+        ctx.arc(interp(p.px, p.x, this.alpha), interp(p.py, p.y, this.alpha), d.r, 0, Math.PI * 2);
+        ctx.fill();
       }
+    }
+    // Muzzle flash: a cached glow sprite plus a white core
+    const glow = this.cachedLayer('flash', 0, c => {
+      const g = c.createRadialGradient(36, 36, 0, 36, 36, 36);
+      g.addColorStop(0, 'rgba(255,180,60,0.8)'); g.addColorStop(0.4, 'rgba(255,120,20,0.4)');
+      g.addColorStop(1, 'rgba(255,80,0,0)');
+      c.fillStyle = g; c.beginPath(); c.arc(36, 36, 36, 0, Math.PI * 2); c.fill();
+    }, 72, 72);
+    ctx.fillStyle = '#FFF';
+    for (let i = 0; i < n; i++) {
+      const p = ps[i];
+      if (p.type !== 'flash') continue;
+      const ft = clamp(p.t / 0.13, 0, 1);
+      ctx.globalAlpha = ft * 0.45; ctx.drawImage(glow, p.x - 36, p.y - 36, 72, 72);
+      ctx.globalAlpha = ft * 0.8;
+      ctx.beginPath(); ctx.arc(p.x, p.y, 8, 0, Math.PI * 2); ctx.fill();
+    }
+    // Shot-off hats need their own transform
+    for (let i = 0; i < n; i++) {
+      const p = ps[i];
+      if (p.type !== 'hat') continue;
+      ctx.save();
+      ctx.globalAlpha = clamp(p.t / 0.3, 0, 1);
+      ctx.translate(interp(p.px, p.x, this.alpha), interp(p.py, p.y, this.alpha) + 8); ctx.rotate(p.rot);
+      this.drawHat(ctx, OUTFITS[p.outfit], 0, 0);
       ctx.restore();
     }
+    ctx.restore();
   }
 
   // ── Developer Credit with bullet-hole torn poster effect ─────────────────
@@ -2286,9 +4756,39 @@ class WesternShooter {
     // Hearts
     for (let i = 0; i < MAX_LIVES; i++) this.drawHeart(ctx, 14 + i * 22, 52, i < this.lives);
 
+    // Combo multiplier + progress towards the next step
+    if (this.combo > 0) {
+      const mult = this.comboMult;
+      const prog = mult >= COMBO_MAX ? 1 : (this.combo % COMBO_STEP) / COMBO_STEP;
+      ctx.save();
+      ctx.textAlign = 'left'; ctx.font = 'bold 16px Georgia, serif';
+      ctx.fillStyle = 'rgba(0,0,0,0.5)'; ctx.fillText(`×${mult}`, 13, 87);
+      ctx.fillStyle = mult > 1 ? '#FF9933' : '#C8A050'; ctx.fillText(`×${mult}`, 12, 86);
+      ctx.fillStyle = 'rgba(0,0,0,0.35)'; ctx.fillRect(40, 78, 40, 5);
+      ctx.fillStyle = '#FFD700'; ctx.fillRect(40, 78, 40 * prog, 5);
+      ctx.restore();
+    }
+
     // Ammo wheel
     this.drawAmmoWheel(ctx);
 
+    // Achievement toast (one at a time, slides down from the top)
+    const toast = this.toasts[0];
+    if (toast) {
+      const slide = clamp(Math.min(3 - toast.t, toast.t) * 4, 0, 1);
+      const ty = -52 + slide * 92;
+      ctx.save();
+      ctx.fillStyle = 'rgba(26,8,0,0.9)'; drawRR(ctx, W / 2 - 130, ty, 260, 50, 8); ctx.fill();
+      ctx.strokeStyle = '#DAA520'; ctx.lineWidth = 2; drawRR(ctx, W / 2 - 130, ty, 260, 50, 8); ctx.stroke();
+      this.drawBadge(ctx, W / 2 - 100, ty + 25, true);
+      ctx.textAlign = 'left';
+      ctx.font = 'bold 11px Georgia, serif'; ctx.fillStyle = '#C8A050';
+      ctx.fillText('ACHIEVEMENT UNLOCKED', W / 2 - 72, ty + 20);
+      ctx.font = 'bold 16px Georgia, serif'; ctx.fillStyle = '#FFD700';
+      ctx.fillText(toast.a.title, W / 2 - 72, ty + 39);
+      ctx.restore();
+    }
+
     // Reload — cylinder spin animation
     if (this.reloading) {
       const prog = 1 - this.reloadTimer / RELOAD_TIME;
@@ -2359,7 +4859,7 @@ class WesternShooter {
   }
 
   drawAmmoWheel(ctx) {
-    const cx = 48, cy = H - 52, R = 24;
+    const cx = this.runOpts.leftHanded ? W - 48 : 48, cy = H - 52, R = 24;
     ctx.fillStyle = 'rgba(0,0,0,0.35)'; ctx.beginPath(); ctx.arc(cx, cy, R + 4, 0, Math.PI * 2); ctx.fill();
     ctx.fillStyle = 'rgba(30,30,30,0.6)'; ctx.beginPath(); ctx.arc(cx, cy, R + 2, 0, Math.PI * 2); ctx.fill();
     for (let i = 0; i < MAX_BULLETS; i++) {
@@ -2382,4 +4882,9 @@ class WesternShooter {
 }
 
 // ─── BOOTSTRAP ────────────────────────────────────────────────────────────────
-window.addEventListener('load', () => new WesternShooter());
+if (typeof module !== 'undefined' && module.exports) {
+  // Node: expose the headless simulation for gameplay tests and balance runs
+  module.exports = { ShooterSim, RNG, GameTimers, W, H, buildLevel, readLevel };
+} else {
+  window.addEventListener('load', () => new WesternShooter());
+}
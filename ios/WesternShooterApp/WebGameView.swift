@@ -68,6 +68,10 @@ struct WebGameView: UIViewRepresentable {
         config.allowsInlineMediaPlayback = true
         config.mediaTypesRequiringUserActionForPlayback = []
 
+        // Let game.js read its own optional files (sounds/pack.json and the
+        // recordings it lists) with XHR; file:// pages are otherwise denied.
+        config.preferences.setValue(true, forKey: "allowFileAccessFromFileURLs")
+
         // Inject a script that enforces the viewport meta tag at document-end
         // so pinch-to-zoom is disabled even if the HTML omits the tag.
         let viewportJS = """
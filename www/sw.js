@@ -2,12 +2,31 @@
  * Service Worker — Western Shooter PWA
  * Caches all game assets for offline play.
  */
-const CACHE  = 'offline-shooter-v1';
-const ASSETS = ['/', '/index.html', '/style.css', '/game.js', '/manifest.json'];
+const CACHE  = 'offline-shooter-v5';
+const ASSETS = ['/', '/index.html', '/style.css', '/game.js', '/manifest.json',
+  '/levels/index.json', '/levels/saloon.json', '/levels/bank.json', '/levels/train.json', '/levels/street.json', '/levels/jail.json'];
+
+// Optional asset packs: if the manifest exists, cache it and every file it lists
+const PACKS = [
+  { manifest: '/sounds/pack.json',
+    files: pack => Object.values(pack.cues || {}).flatMap(cue => (typeof cue === 'string' ? [cue] : cue.files || [])) },
+  { manifest: '/sprites/atlas.json',
+    files: atlas => Object.values(atlas.atlases || {}).map(a => a.image) },
+];
+
+function cachePack(cache, { manifest, files }) {
+  const dir = manifest.slice(0, manifest.lastIndexOf('/') + 1);
+  return fetch(manifest).then(res => {
+    if (!res.ok) return;
+    return res.clone().json().then(data =>
+      cache.put(manifest, res).then(() => cache.addAll(files(data).map(f => dir + f))));
+  }).catch(() => {});
+}
 
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE).then(cache => cache.addAll(ASSETS))
+    caches.open(CACHE).then(cache =>
+      cache.addAll(ASSETS).then(() => Promise.all(PACKS.map(p => cachePack(cache, p)))))
   );
   self.skipWaiting();
 });